@@ -4,6 +4,9 @@ import morgan from "morgan";
 
 import { loadConfigs } from "./v1/middlewares/config.middleware.js";
 import APIv1 from "./v1/routes.js";
+import ActionRegistry from "./v1/core/action.registry.js";
+import providersList from "./v1/core/providers.list.js";
+import ProviderRegistry from "./v1/services/provider.registry.js";
 
 const app = express();
 
@@ -15,6 +18,9 @@ app.use(express.urlencoded({ extended: true }));
 
 await loadConfigs();
 
+// Refuse to start when the catalogue advertises an action no provider implements
+ActionRegistry.assertHandlers(providersList, ProviderRegistry.providerClasses);
+
 // Basic routes
 app.use("/api/v1", APIv1);
 
@@ -31,9 +37,16 @@ app.use((err, req, res, next) => {
   console.log("\\n An error occurred: m");
   console.error(err);
 
-  res.status(500).json({
+  const statusCode = Number.isInteger(err.statusCode) ? err.statusCode : 500;
+
+  if (err.data?.retryAfter) {
+    res.set("Retry-After", String(err.data.retryAfter));
+  }
+
+  res.status(statusCode).json({
     status: "failed",
     msg: err.message,
+    code: err.errorCode,
     data: err.data,
   });
 });
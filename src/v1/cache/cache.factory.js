@@ -0,0 +1,18 @@
+import path from "path";
+import FileCache from "./file.cache.js";
+import RedisCache from "./redis.cache.js";
+
+// Builds the cache store named by a provider's `storage` config, scoped to one
+// provider connection so entries never leak between accounts
+export const createCache = (storage, provider, connectionId) => {
+  if (storage.driver === "redis") {
+    return new RedisCache({
+      url: storage.redis.url,
+      namespace: [storage.redis.keyPrefix, provider, connectionId].join(":"),
+    });
+  }
+
+  return new FileCache({
+    storageDir: path.join(storage.dir, connectionId),
+  });
+};
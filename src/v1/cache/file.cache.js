@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
 import AppError from "../core/errors/AppError.js";
@@ -5,6 +6,7 @@ import AppError from "../core/errors/AppError.js";
 class FileCache {
   constructor(config) {
     this.storageDir = config.storageDir || "./storage/cache";
+    this.tagQueues = new Map(); // serialises the updates of each tag index
     this.init();
   }
 
@@ -60,6 +62,58 @@ class FileCache {
     }
   }
 
+  tagFile(tag) {
+    const hash = crypto.createHash("sha1").update(tag).digest("hex");
+    return path.join(this.storageDir, `tag-${hash}.json`);
+  }
+
+  // Tag indexes are read and rewritten, one update of a tag runs at a time
+  updateTag(tag, update) {
+    const queue = this.tagQueues.get(tag) || Promise.resolve();
+    const next = queue.then(async () => {
+      let keys = [];
+      try {
+        keys = JSON.parse(await fs.readFile(this.tagFile(tag), "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+      await update(keys);
+    });
+    // The entry goes once its last update settles, so idle tags hold no memory
+    const tail = next
+      .catch(() => {})
+      .then(() => {
+        if (this.tagQueues.get(tag) === tail) this.tagQueues.delete(tag);
+      });
+    this.tagQueues.set(tag, tail);
+    return next;
+  }
+
+  async addToTag(tag, key) {
+    try {
+      await this.updateTag(tag, async (keys) => {
+        if (keys.includes(key)) return;
+        await fs.writeFile(this.tagFile(tag), JSON.stringify([...keys, key]));
+      });
+      return true;
+    } catch (error) {
+      throw new AppError("Cache write failed", 500, "CACHE_WRITE_ERROR");
+    }
+  }
+
+  // Drops every entry stored under the tag
+  async invalidateTag(tag) {
+    try {
+      await this.updateTag(tag, async (keys) => {
+        await Promise.all(keys.map((key) => this.delete(key)));
+        await fs.rm(this.tagFile(tag), { force: true });
+      });
+      return true;
+    } catch (error) {
+      throw new AppError("Cache delete failed", 500, "CACHE_DELETE_ERROR");
+    }
+  }
+
   async healthCheck() {
     try {
       const testFile = path.join(this.storageDir, "health-check.txt");
@@ -0,0 +1,165 @@
+import crypto from "crypto";
+import axios, { AxiosHeaders } from "axios";
+import { getContext } from "../core/request.context.js";
+
+const CACHEABLE_RESPONSE_TYPES = [undefined, "json", "text"];
+const READ_METHODS = ["get", "head", "options"];
+
+class HttpCache {
+  constructor({ store, defaultTtl = 0, maxAge = 0, policies = {} }) {
+    this.store = store;
+    this.defaultTtl = defaultTtl;
+    this.maxAge = maxAge;
+    this.policies = policies;
+  }
+
+  // Wraps the client's adapter, so interceptors (auth, etc.) still run first
+  attach(client) {
+    const adapter = axios.getAdapter(
+      client.defaults.adapter || axios.defaults.adapter
+    );
+    client.defaults.adapter = (config) => this.handle(config, adapter);
+    return client;
+  }
+
+  buildKey(config) {
+    const url = axios.getUri(config);
+    const accept = AxiosHeaders.from(config.headers).get("Accept") || "";
+
+    return crypto
+      .createHash("sha1")
+      .update(JSON.stringify([url, accept, config.responseType]))
+      .digest("hex");
+  }
+
+  // Reads of mutating actions feed their writes, they are always revalidated
+  ttlFor(actionName, mutates) {
+    if (mutates) return 0;
+    return this.policies[actionName] ?? this.defaultTtl;
+  }
+
+  // Entries are tagged with their repository, a write to it drops them all
+  tagFor(config) {
+    const match = axios.getUri(config).match(/\/repos\/([^/?#]+)\/([^/?#]+)/);
+    return match && `repo:${match[1]}/${match[2]}`.toLowerCase();
+  }
+
+  async invalidate(config) {
+    const tag = this.tagFor(config);
+    if (!tag) return;
+    try {
+      await this.store.invalidateTag(tag);
+    } catch (error) {
+      console.error("Failed to invalidate HTTP cache entries:", error.message);
+    }
+  }
+
+  isCacheable(config) {
+    return (
+      config.method === "get" &&
+      config.cache !== false &&
+      CACHEABLE_RESPONSE_TYPES.includes(config.responseType)
+    );
+  }
+
+  toResponse(entry, config, cacheStatus) {
+    return {
+      data: entry.data,
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: AxiosHeaders.from({ ...entry.headers, "x-cache": cacheStatus }),
+      config,
+      request: null,
+    };
+  }
+
+  async read(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      // A broken cache must never fail the request itself
+      return null;
+    }
+  }
+
+  async write(key, entry, tag) {
+    try {
+      await this.store.set(key, entry, Date.now(), this.maxAge);
+      if (tag) await this.store.addToTag(tag, key, this.maxAge);
+    } catch (error) {
+      console.error("Failed to write HTTP cache entry:", error.message);
+    }
+  }
+
+  async handle(config, adapter) {
+    if (!this.isCacheable(config)) {
+      const response = await adapter(config);
+      if (!READ_METHODS.includes(config.method)) {
+        await this.invalidate(config);
+      }
+      return response;
+    }
+
+    const { actionName, mutates, bypassCache } = getContext();
+    const ttl = this.ttlFor(actionName, mutates);
+    const key = this.buildKey(config);
+    const tag = this.tagFor(config);
+    const entry = bypassCache ? null : await this.read(key);
+
+    // A TTL of 0 always asks GitHub, even when another action stored the entry as fresh
+    if (entry && ttl > 0 && Date.now() < entry.freshUntil) {
+      return this.toResponse(entry, config, "HIT");
+    }
+
+    // Stale entries are revalidated, a 304 does not count against the rate limit
+    const headers = AxiosHeaders.from(config.headers);
+    if (entry?.headers?.etag) {
+      headers.set("If-None-Match", entry.headers.etag);
+    }
+    if (entry?.headers?.["last-modified"]) {
+      headers.set("If-Modified-Since", entry.headers["last-modified"]);
+    }
+
+    const validateStatus = config.validateStatus;
+    const response = await adapter({
+      ...config,
+      headers,
+      validateStatus: (status) =>
+        (entry && status === 304) ||
+        (validateStatus ? validateStatus(status) : status < 300),
+    });
+
+    if (response.status === 304) {
+      const revalidated = { ...entry, freshUntil: Date.now() + ttl * 1000 };
+      await this.write(key, revalidated, tag);
+      return this.toResponse(revalidated, config, "REVALIDATED");
+    }
+
+    const responseHeaders = AxiosHeaders.from(response.headers).toJSON();
+    const canRevalidate =
+      responseHeaders.etag || responseHeaders["last-modified"];
+
+    if (response.status === 200 && (ttl > 0 || canRevalidate)) {
+      await this.write(
+        key,
+        {
+          data: response.data,
+          status: response.status,
+          statusText: response.statusText,
+          headers: responseHeaders,
+          freshUntil: Date.now() + ttl * 1000,
+        },
+        tag
+      );
+    }
+
+    response.headers = AxiosHeaders.from({
+      ...responseHeaders,
+      "x-cache": bypassCache ? "BYPASS" : "MISS",
+    });
+
+    return response;
+  }
+}
+
+export default HttpCache;
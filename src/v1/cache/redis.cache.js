@@ -0,0 +1,121 @@
+import Redis from "ioredis";
+import AppError from "../core/errors/AppError.js";
+
+// Caches of every connection share one Redis client per server URL
+const clients = new Map();
+
+const getClient = (url) => {
+  if (!clients.has(url)) {
+    const client = new Redis(url, {
+      // Fail fast while Redis is down, callers treat cache errors as misses
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1,
+    });
+    // ioredis keeps reconnecting, only report the first error of each outage
+    let reported = false;
+    client.on("error", (error) => {
+      if (!reported) {
+        console.error("Redis cache connection error:", error.message);
+      }
+      reported = true;
+    });
+    client.on("ready", () => {
+      reported = false;
+    });
+    clients.set(url, client);
+  }
+  return clients.get(url);
+};
+
+class RedisCache {
+  constructor(config) {
+    this.client = getClient(config.url || "redis://127.0.0.1:6379");
+    this.namespace = config.namespace || "cache";
+  }
+
+  buildKey(key) {
+    return `${this.namespace}:${key}`;
+  }
+
+  async get(key) {
+    try {
+      const data = await this.client.get(this.buildKey(key));
+      if (!data) return null;
+
+      const { value, expiry } = JSON.parse(data);
+
+      if (expiry && Date.now() > expiry) {
+        await this.delete(key);
+        return null;
+      }
+
+      return value;
+    } catch (error) {
+      throw new AppError("Cache read failed", 500, "CACHE_READ_ERROR");
+    }
+  }
+
+  async set(key, value, createdAt, ttl = 0) {
+    try {
+      const data = JSON.stringify({
+        value,
+        createdAt,
+        expiry: ttl ? createdAt + ttl * 1000 : null,
+      });
+
+      // Redis expires the key on its own, the expiry field keeps the FileCache contract
+      if (ttl) {
+        await this.client.set(this.buildKey(key), data, "EX", ttl);
+      } else {
+        await this.client.set(this.buildKey(key), data);
+      }
+      return true;
+    } catch (error) {
+      throw new AppError("Cache write failed", 500, "CACHE_WRITE_ERROR");
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.client.del(this.buildKey(key));
+      return true;
+    } catch (error) {
+      throw new AppError("Cache delete failed", 500, "CACHE_DELETE_ERROR");
+    }
+  }
+
+  // Tags are Redis sets of keys, shared by every replica using the same server
+  async addToTag(tag, key, ttl = 0) {
+    try {
+      const tagKey = this.buildKey(`tag:${tag}`);
+      const pipeline = this.client.multi().sadd(tagKey, this.buildKey(key));
+      if (ttl) pipeline.expire(tagKey, ttl);
+      await pipeline.exec();
+      return true;
+    } catch (error) {
+      throw new AppError("Cache write failed", 500, "CACHE_WRITE_ERROR");
+    }
+  }
+
+  // Drops every entry stored under the tag, for all replicas at once
+  async invalidateTag(tag) {
+    try {
+      const tagKey = this.buildKey(`tag:${tag}`);
+      const keys = await this.client.smembers(tagKey);
+      await this.client.del(...keys, tagKey);
+      return true;
+    } catch (error) {
+      throw new AppError("Cache delete failed", 500, "CACHE_DELETE_ERROR");
+    }
+  }
+
+  async healthCheck() {
+    try {
+      return (await this.client.ping()) === "PONG";
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export default RedisCache;
@@ -3,6 +3,23 @@ export default {
   title: "Bitbucket",
   apiBaseUrl: "https://api.bitbucket.org/2.0",
   apiVersion: "2.0",
+  auth: {
+    tokenType: "basic",
+    scope: ["repository", "pullrequest:write", "pipeline", "account"],
+  },
+  pagination: {
+    perPage: 50,
+    maxPerPage: 100,
+    maxItems: 5000, // hard limit of fetchAll, keeps one call from draining the quota
+  },
+  rateLimit: {
+    enabled: true,
+    maxRequests: 1000,
+    windowMs: 60 * 60 * 1000, // 1 hour
+  },
+  storage: {
+    dir: "./storage/bitbucket-cache",
+  },
   features: [
     "list-repos",
     "get-repo",
@@ -1,16 +1,99 @@
 export default {
   apiBaseUrl: "https://api.github.com",
+  graphqlUrl: "https://api.github.com/graphql",
   apiVersion: "2022-11-28",
+  enterprise: {
+    restPath: "/api/v3",
+    graphqlPath: "/api/graphql",
+    // GHES only understands the X-GitHub-Api-Version header from 3.9 onwards
+    apiVersionSince: "3.9",
+  },
   auth: {
     tokenType: "bearer",
     scope: ["repo", "read:user", "read:org"],
+    app: {
+      // Installation tokens live for an hour, renew them before they lapse
+      refreshMarginMs: 5 * 60 * 1000,
+    },
+  },
+  pagination: {
+    perPage: 50,
+    maxPerPage: 100,
+    maxItems: 5000, // hard limit of fetchAll, keeps one call from draining the quota
+  },
+  logs: {
+    // Run log archives are extracted in memory, larger runs are downloaded as the archive
+    maxArchiveBytes: 20 * 1024 * 1024,
+    maxExtractedBytes: 100 * 1024 * 1024,
   },
   rateLimit: {
     enabled: true,
     maxRequests: 5000,
     windowMs: 60 * 60 * 1000, // 1 hour
+    // Longest a call is held back for quota before failing with a 429
+    maxWaitMs: 60 * 1000,
+    retry: {
+      // Transient 5xx and network errors on idempotent calls, with jittered backoff
+      retries: 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 30 * 1000,
+    },
   },
   storage: {
+    // "file" keeps the cache per container, "redis" shares it between replicas
+    driver: process.env.CACHE_DRIVER || "file",
     dir: "./storage/github-cache",
+    redis: {
+      url: process.env.REDIS_URL || "redis://127.0.0.1:6379",
+      keyPrefix: "scm-plugin",
+    },
+  },
+  cache: {
+    enabled: true,
+    // Seconds a response is served without asking GitHub, for actions without a
+    // policy. Mutating actions always revalidate, whatever their policy
+    defaultTtl: 0,
+    maxAge: 7 * 24 * 60 * 60, // seconds a response is kept for ETag revalidation
+    // Per-action TTL in seconds, 0 means always revalidate (a 304 is free of rate limit)
+    policies: {
+      "list-repos": 300,
+      "list-orgs": 3600,
+      "get-repo": 300,
+      "list-repo-contents": 60,
+      "get-repo-file-content": 60,
+      "list-repo-tree": 24 * 60 * 60, // trees are read by commit SHA
+      "list-branches": 30,
+      "list-branch-commits": 30,
+      "list-commit-modifications": 24 * 60 * 60, // commits are immutable
+      "get-commit-details": 24 * 60 * 60,
+      "commits-diff": 60,
+      "compare-branch": 30,
+      "get-branch-protection": 0,
+      "list-rulesets": 0,
+      "get-ruleset": 0,
+      "set-ruleset": 0, // looks the ruleset up by name before writing it
+      "list-releases": 60,
+      "get-release": 0,
+      "list-pipelines": 0,
+      "list-deployments": 0,
+      "list-pulls": 0,
+      "get-pull": 0,
+      "list-issues": 0,
+      "get-issue": 0,
+      "list-milestones": 60,
+      "list-issue-comments": 0,
+      "list-workflow-runs": 0,
+      "get-workflow-run": 0,
+      "list-run-jobs": 0,
+      "list-deployment-statuses": 0,
+      "list-environments": 60,
+      "get-environment": 60,
+      "list-commit-statuses": 0,
+      "get-combined-status": 0,
+      // search quotas are counted per minute, repeated queries are served from the cache
+      "search-code": 300,
+      "search-commits": 300,
+      "search-issues": 60,
+    },
   },
 };
@@ -4,6 +4,11 @@ export default {
     tokenType: "private",
     scope: ["api", "read_repository", "write_repository", "read_api"],
   },
+  pagination: {
+    perPage: 50,
+    maxPerPage: 100,
+    maxItems: 5000, // hard limit of fetchAll, keeps one call from draining the quota
+  },
   rateLimit: {
     enabled: true,
     maxRequests: 2000,
@@ -0,0 +1,12 @@
+export default {
+  name: "local",
+  title: "Local Git",
+  gitBinary: "git",
+  rootDir: process.env.LOCAL_GIT_ROOT || "./storage/repositories",
+  maxBuffer: 50 * 1024 * 1024, // 50 MB of git output per command
+  pagination: {
+    perPage: 50,
+    maxPerPage: 100,
+    maxItems: 5000,
+  },
+};
@@ -1,6 +1,7 @@
 import fs from "fs/promises";
 import path from "path";
 import AppError from "./errors/AppError.js";
+import providersList from "./providers.list.js";
 
 class ConfigManager {
   constructor() {
@@ -18,6 +19,29 @@ class ConfigManager {
     });
   }
 
+  // Every init_config entry is a named connection bound to one provider
+  validateConnections(configs) {
+    const names = new Set();
+
+    for (const connection of configs.init_config || []) {
+      if (!connection.name || names.has(connection.name)) {
+        throw new AppError(
+          `Connection names must be unique and non-empty, got '${connection.name}'`,
+          400,
+          "INVALID_CONNECTION"
+        );
+      }
+      if (!providersList.some((p) => p.name === connection.provider)) {
+        throw new AppError(
+          `Connection '${connection.name}' has an unknown provider '${connection.provider}'`,
+          400,
+          "INVALID_CONNECTION"
+        );
+      }
+      names.add(connection.name);
+    }
+  }
+
   async loadConfigs() {
     try {
       const configFile = await fs.readFile(this.configPath, "utf8");
@@ -46,6 +70,7 @@ class ConfigManager {
           "INVALID_CONFIG_PARAMS"
         );
       }
+      this.validateConnections(newConfigs);
 
       // // We can write the new configs to the file to keep persistence but for now we only keep in memory
       // await fs.writeFile(this.configPath, JSON.stringify(newConfigs, null, 2));
@@ -65,7 +90,18 @@ class ConfigManager {
   }
 
   getConfig(name) {
-    return this.configs?.init_config[0];
+    return this.configs?.init_config?.find((config) => config.name === name);
+  }
+
+  getConnections(provider) {
+    return (this.configs?.init_config || []).filter(
+      (config) => !provider || config.provider === provider
+    );
+  }
+
+  // The first connection registered for a provider is its default one
+  getDefaultConnection(provider) {
+    return this.getConnections(provider)[0];
   }
 
   getAvailableProviders() {
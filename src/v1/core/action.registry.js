@@ -0,0 +1,118 @@
+import repositoryActions from "./actions/repository.actions.js";
+import branchActions from "./actions/branches.actions.js";
+import releaseActions from "./actions/releases.actions.js";
+import pullRequestActions from "./actions/pullRequest.actions.js";
+import cicdActions from "./actions/cicd.actions.js";
+import checkActions from "./actions/checks.actions.js";
+import issueActions from "./actions/issues.actions.js";
+import searchActions from "./actions/search.actions.js";
+
+const INPUT_TYPES = ["string", "text", "number", "checkbox", "json"];
+
+// Single source of the action catalogue: listing, param schemas and handlers
+class ActionRegistry {
+  constructor(actions) {
+    this.actions = new Map();
+    actions.forEach((action) => this.register(action));
+  }
+
+  // A malformed entry is a programming error, it fails as soon as the module loads
+  register(action) {
+    const fail = (reason) => {
+      throw new Error(`Action '${action.name}' ${reason}`);
+    };
+
+    if (this.actions.has(action.name)) fail("is registered twice");
+    if (!/^action[A-Z]\w*$/.test(action.handler || "")) {
+      fail("has no valid handler name");
+    }
+    if (!action.title || !action.feature) fail("needs a title and a feature");
+
+    const keys = new Set();
+    for (const schema of action.params || []) {
+      if (keys.has(schema.key)) fail(`declares param '${schema.key}' twice`);
+      if (!INPUT_TYPES.includes(schema.attr?.input_type)) {
+        fail(`has an unknown input_type on param '${schema.key}'`);
+      }
+      keys.add(schema.key);
+    }
+
+    this.actions.set(action.name, {
+      mutates: false,
+      upload: false,
+      params: [],
+      ...action,
+    });
+  }
+
+  get(name) {
+    return this.actions.get(name);
+  }
+
+  list() {
+    return [...this.actions.values()];
+  }
+
+  // A provider runs an action when it offers its feature and implements its handler
+  isSupported(action, providerMeta, ProviderClass) {
+    return (
+      Boolean(ProviderClass) &&
+      providerMeta.features.includes(action.feature) &&
+      typeof ProviderClass.prototype[action.handler] === "function"
+    );
+  }
+
+  // Refuses to start with a catalogue advertising actions no provider can run
+  assertHandlers(providers, providerClasses) {
+    const missing = this.list().filter(
+      (action) =>
+        !providers.some((providerMeta) =>
+          this.isSupported(
+            action,
+            providerMeta,
+            providerClasses[providerMeta.name]
+          )
+        )
+    );
+
+    if (missing.length) {
+      throw new Error(
+        `No provider implements the advertised actions: ${missing
+          .map((action) => `${action.name} (${action.handler})`)
+          .join(", ")}`
+      );
+    }
+  }
+
+  toListing(action) {
+    return {
+      actionName: action.name,
+      feature: action.feature,
+      actionTitle: action.title,
+      actionDesc: action.description,
+      mutates: action.mutates,
+    };
+  }
+
+  toConfig(action) {
+    return {
+      name: action.name,
+      title: action.title,
+      description: action.description,
+      mutates: action.mutates,
+      upload: action.upload,
+      params: action.params,
+    };
+  }
+}
+
+export default new ActionRegistry([
+  ...repositoryActions,
+  ...branchActions,
+  ...releaseActions,
+  ...pullRequestActions,
+  ...cicdActions,
+  ...checkActions,
+  ...issueActions,
+  ...searchActions,
+]);
@@ -0,0 +1,107 @@
+// Builders for the param schemas of the action catalogue, the output is the
+// shape served by GET /methods/:actionName and checked by params.validator.js
+export const param = (
+  key,
+  {
+    title,
+    description,
+    placeholder,
+    type = "string",
+    required = false,
+    secret = false,
+    pattern = null,
+    options,
+    value = [""],
+  }
+) => ({
+  attr: {
+    regex_pattern: pattern,
+    input_type: type,
+    secret: secret,
+    required: required,
+  },
+  ...(options && { options }),
+  key: key,
+  placeholder: placeholder,
+  value: value,
+  title: title,
+  description: description,
+});
+
+export const repoNameParam = (description) =>
+  param("repoName", {
+    title: "Repository Name",
+    description: description,
+    placeholder: "Enter repository name",
+    required: true,
+  });
+
+export const ownerParam = () =>
+  param("owner", {
+    title: "Owner Override",
+    description:
+      "Optional: account or organization owning the repository, defaults to the configured owner",
+    placeholder: "Enter account or organization (owner)",
+  });
+
+export const prNumberParam = (description) =>
+  param("prNumber", {
+    title: "Pull Request Number",
+    description: description,
+    placeholder: "Enter PR number",
+    required: true,
+    pattern: {
+      pattern: "^[1-9][0-9]*$",
+      message: "Pull request number must be a positive integer",
+    },
+  });
+
+export const issueNumberParam = (description) =>
+  param("issueNumber", {
+    title: "Issue Number",
+    description: description,
+    placeholder: "Enter issue number",
+    required: true,
+    pattern: {
+      pattern: "^[1-9][0-9]*$",
+      message: "Issue number must be a positive integer",
+    },
+  });
+
+export const refParam = (description) =>
+  param("ref", {
+    title: "Reference",
+    description: description,
+    placeholder: "Enter branch, tag or commit SHA",
+  });
+
+export const paginationParams = ({ fetchAll = false } = {}) => [
+  param("page", {
+    title: "Page Number",
+    description: "Page number for paginated results",
+    placeholder: "Enter page number",
+    type: "number",
+    value: [1],
+  }),
+  param("perPage", {
+    title: "Results Per Page",
+    description: "Number of results per page, at most 100",
+    placeholder: "Enter results per page",
+    type: "number",
+    value: [50],
+  }),
+  param("maxItems", {
+    title: "Maximum Results",
+    description:
+      "Optional: follow the next pages until this many results are collected",
+    placeholder: "Enter maximum number of results",
+    type: "number",
+  }),
+  param("fetchAll", {
+    title: "Fetch All Pages",
+    description: "Follow every next page, up to 5000 results",
+    placeholder: "Fetch all pages",
+    type: "checkbox",
+    value: [fetchAll],
+  }),
+];
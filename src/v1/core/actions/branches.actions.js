@@ -0,0 +1,265 @@
+import {
+  ownerParam,
+  paginationParams,
+  param,
+  repoNameParam,
+} from "./action.params.js";
+
+const branchParam = (description) =>
+  param("branch", {
+    title: "Branch Name",
+    description: description,
+    placeholder: "Enter branch name",
+    required: true,
+  });
+
+const checkboxParam = (key, { title, description, value = [false] }) =>
+  param(key, {
+    title: title,
+    description: description,
+    placeholder: title,
+    type: "checkbox",
+    value: value,
+  });
+
+// Shared by set-branch-protection and set-ruleset, unchecked boxes turn the rule off
+const protectionParams = () => [
+  checkboxParam("requirePullRequest", {
+    title: "Require Pull Request",
+    description: "Changes must go through a pull request",
+    value: [true],
+  }),
+  param("requiredApprovals", {
+    title: "Required Approvals",
+    description: "Number of approving reviews a pull request needs (0-6)",
+    placeholder: "Enter number of approvals",
+    type: "number",
+    value: [1],
+  }),
+  checkboxParam("dismissStaleReviews", {
+    title: "Dismiss Stale Reviews",
+    description: "New commits dismiss the approvals given before them",
+  }),
+  checkboxParam("requireCodeOwnerReviews", {
+    title: "Require Code Owner Review",
+    description: "Changes to owned files need a review from their code owner",
+  }),
+  checkboxParam("requireConversationResolution", {
+    title: "Require Conversation Resolution",
+    description: "Every review thread must be resolved before merging",
+  }),
+  param("statusChecks", {
+    title: "Required Status Checks",
+    description: "Optional: status checks that must pass before merging",
+    placeholder: "Enter check names: e.g. ci/build, ci/test",
+  }),
+  checkboxParam("strictStatusChecks", {
+    title: "Require Up To Date Branch",
+    description: "Branches must be up to date with the base before merging",
+  }),
+  checkboxParam("linearHistory", {
+    title: "Require Linear History",
+    description: "Forbid merge commits, only squash or rebase merges",
+  }),
+  checkboxParam("allowForcePushes", {
+    title: "Allow Force Pushes",
+    description: "Allow force pushes to the branch",
+  }),
+  checkboxParam("allowDeletions", {
+    title: "Allow Deletions",
+    description: "Allow the branch to be deleted",
+  }),
+];
+
+export default [
+  {
+    name: "create-branch",
+    feature: "repository",
+    handler: "actionCreateBranch",
+    mutates: true,
+    title: "Create Branch",
+    description: "Create a branch from a branch, tag or commit",
+    params: [
+      repoNameParam("The name of the repository to create the branch in"),
+      branchParam("The name of the branch to create"),
+      param("fromRef", {
+        title: "Source Reference",
+        description:
+          "Optional: branch, tag or commit to branch from, defaults to the default branch",
+        placeholder: "Enter branch, tag or commit SHA",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "delete-branch",
+    feature: "repository",
+    handler: "actionDeleteBranch",
+    mutates: true,
+    title: "Delete Branch",
+    description: "Delete a branch of a repository",
+    params: [
+      repoNameParam("The name of the repository containing the branch"),
+      branchParam("The name of the branch to delete"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "rename-branch",
+    feature: "repository",
+    handler: "actionRenameBranch",
+    mutates: true,
+    title: "Rename Branch",
+    description:
+      "Rename a branch, its open pull requests and protection rules follow",
+    params: [
+      repoNameParam("The name of the repository containing the branch"),
+      branchParam("The current name of the branch"),
+      param("newName", {
+        title: "New Name",
+        description: "The new name of the branch",
+        placeholder: "Enter new branch name",
+        required: true,
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "compare-branch",
+    feature: "repository",
+    handler: "actionCompareBranch",
+    mutates: false,
+    title: "Compare Branch",
+    description:
+      "Count the commits a branch is ahead of and behind the default branch",
+    params: [
+      repoNameParam("The name of the repository containing the branch"),
+      branchParam("The name of the branch to compare"),
+      param("base", {
+        title: "Base Branch",
+        description:
+          "Optional: the branch to compare against, defaults to the default branch",
+        placeholder: "Enter base branch",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "get-branch-protection",
+    feature: "repository",
+    handler: "actionGetBranchProtection",
+    mutates: false,
+    title: "Get Branch Protection",
+    description: "Fetch the classic protection rules of a branch",
+    params: [
+      repoNameParam("The name of the repository containing the branch"),
+      branchParam("The name of the branch to fetch protection of"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "set-branch-protection",
+    feature: "repository",
+    handler: "actionSetBranchProtection",
+    mutates: true,
+    title: "Set Branch Protection",
+    description:
+      "Replace the classic protection rules of a branch with the given ones",
+    params: [
+      repoNameParam("The name of the repository containing the branch"),
+      branchParam("The name of the branch to protect"),
+      ...protectionParams(),
+      checkboxParam("enforceAdmins", {
+        title: "Include Administrators",
+        description: "Apply the rules to repository administrators too",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-rulesets",
+    feature: "repository",
+    handler: "actionListRulesets",
+    mutates: false,
+    title: "List Rulesets",
+    description: "List the rulesets applying to a repository",
+    params: [
+      repoNameParam("The name of the repository to list rulesets of"),
+      checkboxParam("includeParents", {
+        title: "Include Organization Rulesets",
+        description: "Include the rulesets inherited from the organization",
+        value: [true],
+      }),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "get-ruleset",
+    feature: "repository",
+    handler: "actionGetRuleset",
+    mutates: false,
+    title: "Get Ruleset",
+    description: "Fetch a ruleset with its conditions and rules",
+    params: [
+      repoNameParam("The name of the repository of the ruleset"),
+      param("rulesetId", {
+        title: "Ruleset ID",
+        description: "The ID of the ruleset to fetch",
+        placeholder: "Enter ruleset ID",
+        required: true,
+        pattern: {
+          pattern: "^[1-9][0-9]*$",
+          message: "Ruleset ID must be a positive integer",
+        },
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "set-ruleset",
+    feature: "repository",
+    handler: "actionSetRuleset",
+    mutates: true,
+    title: "Set Ruleset",
+    description:
+      "Create or replace the branch ruleset of the given name with the given rules",
+    params: [
+      repoNameParam("The name of the repository to set the ruleset on"),
+      param("name", {
+        title: "Ruleset Name",
+        description: "The name of the ruleset, an existing one is replaced",
+        placeholder: "Enter ruleset name: e.g. default-branch",
+        required: true,
+      }),
+      param("branches", {
+        title: "Branches",
+        description:
+          "Optional: branch names or patterns the ruleset applies to, defaults to the default branch",
+        placeholder: "Enter branches: e.g. main, release/*",
+      }),
+      param("enforcement", {
+        title: "Enforcement",
+        description:
+          "Whether the rules are enforced (active, evaluate, disabled)",
+        placeholder: "Select enforcement",
+        options: [
+          { value: "active", title: "Active" },
+          { value: "evaluate", title: "Evaluate Only" },
+          { value: "disabled", title: "Disabled" },
+        ],
+        value: ["active"],
+      }),
+      ...protectionParams(),
+      ownerParam(),
+    ],
+  },
+];
@@ -0,0 +1,225 @@
+import {
+  ownerParam,
+  paginationParams,
+  param,
+  repoNameParam,
+} from "./action.params.js";
+
+const commitParam = (description) =>
+  param("ref", {
+    title: "Reference",
+    description: description,
+    placeholder: "Enter branch, tag or commit SHA",
+    required: true,
+  });
+
+const urlParam = (key, { title, description }) =>
+  param(key, {
+    title: title,
+    description: description,
+    placeholder: "Enter URL: e.g. https://example.com",
+    pattern: {
+      pattern: "^https?://\\S+$",
+      message: `${title} must be an http(s) URL`,
+    },
+  });
+
+const conclusionParam = (description) =>
+  param("conclusion", {
+    title: "Conclusion",
+    description: description,
+    placeholder: "Select conclusion",
+    options: [
+      { value: "success", title: "Success" },
+      { value: "failure", title: "Failure" },
+      { value: "neutral", title: "Neutral" },
+      { value: "cancelled", title: "Cancelled" },
+      { value: "skipped", title: "Skipped" },
+      { value: "timed_out", title: "Timed Out" },
+      { value: "action_required", title: "Action Required" },
+    ],
+    value: [],
+  });
+
+const checkStatusParam = (description, value) =>
+  param("status", {
+    title: "Status",
+    description: description,
+    placeholder: "Select status",
+    options: [
+      { value: "queued", title: "Queued" },
+      { value: "in_progress", title: "In Progress" },
+      { value: "completed", title: "Completed" },
+    ],
+    value: value,
+  });
+
+// The output of a check run: its title, summary, details and annotations
+const checkOutputParams = () => [
+  param("title", {
+    title: "Output Title",
+    description: "Optional: the title of the results, defaults to the name",
+    placeholder: "Enter title",
+  }),
+  param("summary", {
+    title: "Summary",
+    description: "Optional: the summary of the results, in markdown",
+    placeholder: "Enter summary",
+    type: "text",
+  }),
+  param("text", {
+    title: "Details",
+    description: "Optional: the details of the results, in markdown",
+    placeholder: "Enter details",
+    type: "text",
+  }),
+  param("annotations", {
+    title: "Annotations",
+    description:
+      'Optional: JSON list of { path, startLine, endLine?, level?, message, title?, startColumn?, endColumn?, rawDetails? }, level is "notice", "warning" (default) or "failure", any number is sent in batches of 50',
+    placeholder:
+      'Enter annotations: e.g. [{"path": "src/app.js", "startLine": 12, "level": "failure", "message": "Unsafe eval"}]',
+    type: "json",
+  }),
+  urlParam("detailsUrl", {
+    title: "Details URL",
+    description: "Optional: the page of the full results on the reporting tool",
+  }),
+];
+
+export default [
+  {
+    name: "create-commit-status",
+    feature: "cicd",
+    handler: "actionCreateCommitStatus",
+    mutates: true,
+    title: "Create Commit Status",
+    description:
+      "Report a state on a commit under a context, the latest status of each context counts",
+    params: [
+      repoNameParam("The name of the repository containing the commit"),
+      commitParam("Branch, tag or commit SHA to report on"),
+      param("state", {
+        title: "State",
+        description:
+          "The state of the status (pending, success, failure, error)",
+        placeholder: "Select state",
+        required: true,
+        options: [
+          { value: "pending", title: "Pending" },
+          { value: "success", title: "Success" },
+          { value: "failure", title: "Failure" },
+          { value: "error", title: "Error" },
+        ],
+        value: ["pending"],
+      }),
+      param("context", {
+        title: "Context",
+        description:
+          "The name telling this status apart from others, as required by branch protection",
+        placeholder: "Enter context: e.g. security/scan",
+        value: ["default"],
+      }),
+      param("description", {
+        title: "Description",
+        description: "Optional: a short description of the status",
+        placeholder: "Enter description",
+        pattern: {
+          pattern: "^[\\s\\S]{0,140}$",
+          message: "Description must be at most 140 characters",
+        },
+      }),
+      urlParam("targetUrl", {
+        title: "Target URL",
+        description: "Optional: the page linked from the status",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-commit-statuses",
+    feature: "cicd",
+    handler: "actionListCommitStatuses",
+    mutates: false,
+    title: "List Commit Statuses",
+    description: "List every status posted on a commit, newest first",
+    params: [
+      repoNameParam("The name of the repository containing the commit"),
+      commitParam("Branch, tag or commit SHA to list statuses of"),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "get-combined-status",
+    feature: "cicd",
+    handler: "actionGetCombinedStatus",
+    mutates: false,
+    title: "Get Combined Status",
+    description:
+      "Fetch the overall state of a commit from the latest status of each context",
+    params: [
+      repoNameParam("The name of the repository containing the commit"),
+      commitParam("Branch, tag or commit SHA to fetch the state of"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "create-check-run",
+    feature: "cicd",
+    handler: "actionCreateCheckRun",
+    mutates: true,
+    title: "Create Check Run",
+    description:
+      "Report a check on a commit with a conclusion, a summary and file/line annotations (needs a GitHub App connection)",
+    params: [
+      repoNameParam("The name of the repository containing the commit"),
+      commitParam("Branch, tag or commit SHA to run the check on"),
+      param("name", {
+        title: "Check Name",
+        description: "The name of the check, as required by branch protection",
+        placeholder: "Enter check name: e.g. security-scan",
+        required: true,
+      }),
+      checkStatusParam("The status of the check", ["completed"]),
+      conclusionParam("The outcome of the check, required once completed"),
+      ...checkOutputParams(),
+      param("externalId", {
+        title: "External ID",
+        description: "Optional: the ID of the check on the reporting tool",
+        placeholder: "Enter external ID",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "update-check-run",
+    feature: "cicd",
+    handler: "actionUpdateCheckRun",
+    mutates: true,
+    title: "Update Check Run",
+    description:
+      "Change the status or conclusion of a check run and add annotations, only the given fields change",
+    params: [
+      repoNameParam("The name of the repository containing the check run"),
+      param("checkRunId", {
+        title: "Check Run ID",
+        description: "The ID of the check run to update",
+        placeholder: "Enter check run ID",
+        required: true,
+        pattern: {
+          pattern: "^[1-9][0-9]*$",
+          message: "Check Run ID must be a positive integer",
+        },
+      }),
+      checkStatusParam("Optional: the new status of the check", []),
+      conclusionParam("Optional: the outcome of the check, completes it"),
+      ...checkOutputParams(),
+      ownerParam(),
+    ],
+  },
+];
@@ -0,0 +1,486 @@
+import {
+  ownerParam,
+  paginationParams,
+  param,
+  refParam,
+  repoNameParam,
+} from "./action.params.js";
+
+const workflowParam = (description, required = false) =>
+  param("workflow", {
+    title: "Workflow",
+    description: description,
+    placeholder: "Enter workflow ID or file name: e.g. ci.yml",
+    required: required,
+    pattern: {
+      pattern: "^([0-9]+|[\\w.-]+\\.ya?ml)$",
+      message: "Workflow must be a workflow ID or a .yml file name",
+    },
+  });
+
+const idParam = (key, { title, description }) =>
+  param(key, {
+    title: title,
+    description: description,
+    placeholder: `Enter ${title.toLowerCase()}`,
+    required: true,
+    pattern: {
+      pattern: "^[1-9][0-9]*$",
+      message: `${title} must be a positive integer`,
+    },
+  });
+
+const runIdParam = (description) =>
+  idParam("runId", { title: "Run ID", description: description });
+
+const deploymentIdParam = (description) =>
+  idParam("deploymentId", { title: "Deployment ID", description: description });
+
+const environmentParam = (description, value) =>
+  param("environment", {
+    title: "Environment",
+    description: description,
+    placeholder: "Enter environment name: e.g. production",
+    value: value,
+  });
+
+const urlParam = (key, { title, description }) =>
+  param(key, {
+    title: title,
+    description: description,
+    placeholder: "Enter URL: e.g. https://example.com",
+    pattern: {
+      pattern: "^https?://\\S+$",
+      message: `${title} must be an http(s) URL`,
+    },
+  });
+
+const tailLinesParam = () =>
+  param("tailLines", {
+    title: "Last Lines",
+    description: "Optional: keep only the last lines of each log",
+    placeholder: "Enter number of lines",
+    type: "number",
+  });
+
+export default [
+  {
+    name: "list-pipelines",
+    feature: "cicd",
+    handler: "actionListPipelines",
+    mutates: false,
+    title: "List Pipelines",
+    description:
+      "List all pipelines (GitHub Actions workflows) in a repository",
+    params: [
+      repoNameParam("The name of the repository to list pipelines from"),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "list-workflow-runs",
+    feature: "cicd",
+    handler: "actionListWorkflowRuns",
+    mutates: false,
+    title: "List Workflow Runs",
+    description:
+      "List the GitHub Actions runs of a repository or workflow, filtered by branch, status or event",
+    params: [
+      repoNameParam("The name of the repository to list workflow runs of"),
+      workflowParam("Optional: only runs of this workflow"),
+      param("branch", {
+        title: "Branch",
+        description: "Optional: only runs triggered on this branch",
+        placeholder: "Enter branch name",
+      }),
+      param("status", {
+        title: "Status",
+        description: "Optional: only runs with this status or conclusion",
+        placeholder: "Select status",
+        options: [
+          { value: "queued", title: "Queued" },
+          { value: "in_progress", title: "In Progress" },
+          { value: "waiting", title: "Waiting" },
+          { value: "completed", title: "Completed" },
+          { value: "success", title: "Success" },
+          { value: "failure", title: "Failure" },
+          { value: "cancelled", title: "Cancelled" },
+          { value: "skipped", title: "Skipped" },
+          { value: "timed_out", title: "Timed Out" },
+          { value: "action_required", title: "Action Required" },
+        ],
+        value: [],
+      }),
+      param("event", {
+        title: "Event",
+        description:
+          "Optional: only runs triggered by this event, e.g. push, pull_request, workflow_dispatch",
+        placeholder: "Enter event name",
+      }),
+      param("actor", {
+        title: "Actor",
+        description: "Optional: only runs triggered by this user",
+        placeholder: "Enter user login",
+      }),
+      param("headSha", {
+        title: "Head SHA",
+        description: "Optional: only runs of this commit",
+        placeholder: "Enter commit SHA",
+      }),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "get-workflow-run",
+    feature: "cicd",
+    handler: "actionGetWorkflowRun",
+    mutates: false,
+    title: "Get Workflow Run",
+    description: "Fetch the status, conclusion and timings of a workflow run",
+    params: [
+      repoNameParam("The name of the repository containing the run"),
+      runIdParam("The ID of the workflow run to fetch"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-run-jobs",
+    feature: "cicd",
+    handler: "actionListRunJobs",
+    mutates: false,
+    title: "List Workflow Run Jobs",
+    description: "List the jobs of a workflow run with their steps",
+    params: [
+      repoNameParam("The name of the repository containing the run"),
+      runIdParam("The ID of the workflow run to list jobs of"),
+      param("filter", {
+        title: "Attempts",
+        description:
+          "Jobs of the latest attempt only, or of every attempt (latest, all)",
+        placeholder: "Select attempts",
+        options: [
+          { value: "latest", title: "Latest Attempt" },
+          { value: "all", title: "All Attempts" },
+        ],
+        value: ["latest"],
+      }),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "dispatch-workflow",
+    feature: "cicd",
+    handler: "actionDispatchWorkflow",
+    mutates: true,
+    title: "Trigger Workflow",
+    description:
+      "Trigger a workflow that has a workflow_dispatch trigger, with optional inputs",
+    params: [
+      repoNameParam("The name of the repository containing the workflow"),
+      workflowParam("The workflow to trigger", true),
+      refParam(
+        "Optional: branch or tag to run the workflow on, defaults to the default branch"
+      ),
+      param("inputs", {
+        title: "Inputs",
+        description:
+          "Optional: JSON object of the workflow_dispatch inputs, by input name",
+        placeholder: 'Enter inputs: e.g. {"environment": "staging"}',
+        type: "json",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "rerun-workflow-run",
+    feature: "cicd",
+    handler: "actionRerunWorkflowRun",
+    mutates: true,
+    title: "Re-run Workflow Run",
+    description: "Re-run all jobs or only the failed jobs of a workflow run",
+    params: [
+      repoNameParam("The name of the repository containing the run"),
+      runIdParam("The ID of the workflow run to re-run"),
+      param("failedOnly", {
+        title: "Failed Jobs Only",
+        description:
+          "Only re-run the failed jobs and the jobs depending on them",
+        placeholder: "Re-run failed jobs only",
+        type: "checkbox",
+        value: [false],
+      }),
+      param("debugLogging", {
+        title: "Debug Logging",
+        description: "Enable step debug logging for the new attempt",
+        placeholder: "Enable debug logging",
+        type: "checkbox",
+        value: [false],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "cancel-workflow-run",
+    feature: "cicd",
+    handler: "actionCancelWorkflowRun",
+    mutates: true,
+    title: "Cancel Workflow Run",
+    description: "Cancel a queued or in progress workflow run",
+    params: [
+      repoNameParam("The name of the repository containing the run"),
+      runIdParam("The ID of the workflow run to cancel"),
+      param("force", {
+        title: "Force Cancel",
+        description:
+          "Stop the run right away, skipping the steps that run on cancellation",
+        placeholder: "Force cancel",
+        type: "checkbox",
+        value: [false],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "get-run-logs",
+    feature: "cicd",
+    handler: "actionGetRunLogs",
+    mutates: false,
+    title: "Get Workflow Run Logs",
+    description:
+      "Download the log archive of a workflow run and return the log of each job and step, or the archive itself",
+    params: [
+      repoNameParam("The name of the repository containing the run"),
+      runIdParam("The ID of the workflow run to get logs of"),
+      param("job", {
+        title: "Job Name",
+        description: "Optional: only the logs of this job",
+        placeholder: "Enter job name",
+      }),
+      tailLinesParam(),
+      param("archive", {
+        title: "Download Archive",
+        description:
+          "Answer with the zip archive as a file instead of extracting it, for runs too large to extract",
+        placeholder: "Download archive",
+        type: "checkbox",
+        value: [false],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "get-job-logs",
+    feature: "cicd",
+    handler: "actionGetJobLogs",
+    mutates: false,
+    title: "Get Job Logs",
+    description: "Download the plain text log of a single workflow job",
+    params: [
+      repoNameParam("The name of the repository containing the job"),
+      idParam("jobId", {
+        title: "Job ID",
+        description: "The ID of the job to get logs of",
+      }),
+      tailLinesParam(),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-deployments",
+    feature: "cicd",
+    handler: "actionListDeployments",
+    mutates: false,
+    title: "List Deployments",
+    description: "List all deployments for a repository",
+    params: [
+      repoNameParam("The name of the repository to list deployments from"),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "create-deployment",
+    feature: "cicd",
+    handler: "actionCreateDeployment",
+    mutates: true,
+    title: "Create Deployment",
+    description:
+      "Record a deployment of a ref to an environment, for its statuses to be reported on",
+    params: [
+      repoNameParam("The name of the repository being deployed"),
+      param("ref", {
+        title: "Reference",
+        description: "The branch, tag or commit SHA being deployed",
+        placeholder: "Enter branch, tag or commit SHA",
+        required: true,
+      }),
+      environmentParam("The environment deployed to", ["production"]),
+      param("description", {
+        title: "Description",
+        description: "Optional: short description of the deployment",
+        placeholder: "Enter deployment description",
+      }),
+      param("payload", {
+        title: "Payload",
+        description:
+          "Optional: JSON data for the deployment system, stored with the deployment",
+        placeholder: 'Enter payload: e.g. {"version": "1.4.2"}',
+        type: "json",
+      }),
+      param("requiredContexts", {
+        title: "Required Checks",
+        description:
+          "Optional: status checks that must pass on the ref, defaults to all of them",
+        placeholder: "Enter check names: e.g. ci/build, ci/test",
+      }),
+      param("skipChecks", {
+        title: "Skip Checks",
+        description: "Deploy without requiring any status check to pass",
+        placeholder: "Skip status checks",
+        type: "checkbox",
+        value: [false],
+      }),
+      param("autoMerge", {
+        title: "Auto Merge",
+        description:
+          "Merge the default branch into the ref first when it is behind",
+        placeholder: "Merge default branch first",
+        type: "checkbox",
+        value: [false],
+      }),
+      param("transientEnvironment", {
+        title: "Transient Environment",
+        description:
+          "Optional: the environment goes away later, e.g. a review app",
+        placeholder: "Transient environment",
+        type: "checkbox",
+        value: [],
+      }),
+      param("productionEnvironment", {
+        title: "Production Environment",
+        description:
+          "Optional: the environment serves end users, defaults to true for production",
+        placeholder: "Production environment",
+        type: "checkbox",
+        value: [],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "create-deployment-status",
+    feature: "cicd",
+    handler: "actionCreateDeploymentStatus",
+    mutates: true,
+    title: "Report Deployment Status",
+    description:
+      "Post the progress or outcome of a deployment, with links to its logs and environment",
+    params: [
+      repoNameParam("The name of the repository of the deployment"),
+      deploymentIdParam("The ID of the deployment to report on"),
+      param("state", {
+        title: "State",
+        description: "The state of the deployment",
+        placeholder: "Select state",
+        required: true,
+        options: [
+          { value: "queued", title: "Queued" },
+          { value: "pending", title: "Pending" },
+          { value: "in_progress", title: "In Progress" },
+          { value: "success", title: "Success" },
+          { value: "failure", title: "Failure" },
+          { value: "error", title: "Error" },
+          { value: "inactive", title: "Inactive" },
+        ],
+        value: [],
+      }),
+      param("description", {
+        title: "Description",
+        description: "Optional: short description of the status",
+        placeholder: "Enter status description",
+      }),
+      urlParam("logUrl", {
+        title: "Log URL",
+        description: "Optional: where the deployment logs can be read",
+      }),
+      urlParam("environmentUrl", {
+        title: "Environment URL",
+        description: "Optional: where the deployed environment can be reached",
+      }),
+      environmentParam("Optional: move the deployment to another environment"),
+      param("autoInactive", {
+        title: "Deactivate Previous",
+        description:
+          "On success, mark the previous deployments of the environment inactive",
+        placeholder: "Deactivate previous deployments",
+        type: "checkbox",
+        value: [true],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-deployment-statuses",
+    feature: "cicd",
+    handler: "actionListDeploymentStatuses",
+    mutates: false,
+    title: "List Deployment Statuses",
+    description: "List the statuses reported on a deployment, newest first",
+    params: [
+      repoNameParam("The name of the repository of the deployment"),
+      deploymentIdParam("The ID of the deployment to list statuses of"),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "list-environments",
+    feature: "cicd",
+    handler: "actionListEnvironments",
+    mutates: false,
+    title: "List Environments",
+    description:
+      "List the deployment environments of a repository with their protection rules",
+    params: [
+      repoNameParam("The name of the repository to list environments of"),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "get-environment",
+    feature: "cicd",
+    handler: "actionGetEnvironment",
+    mutates: false,
+    title: "Get Environment",
+    description:
+      "Fetch a deployment environment with its protection rules and allowed branches",
+    params: [
+      repoNameParam("The name of the repository of the environment"),
+      param("environment", {
+        title: "Environment",
+        description: "The name of the environment to fetch",
+        placeholder: "Enter environment name: e.g. production",
+        required: true,
+      }),
+      ownerParam(),
+    ],
+  },
+];
@@ -0,0 +1,401 @@
+import {
+  issueNumberParam,
+  ownerParam,
+  paginationParams,
+  param,
+  repoNameParam,
+} from "./action.params.js";
+
+const labelsParam = (description, required = false) =>
+  param("labels", {
+    title: "Labels",
+    description: description,
+    placeholder: "Enter labels: e.g. bug, incident",
+    required: required,
+  });
+
+const assigneesParam = (description, required = false) =>
+  param("assignees", {
+    title: "Assignees",
+    description: description,
+    placeholder: "Enter logins: e.g. alice, bob",
+    required: required,
+  });
+
+const milestoneParam = (description) =>
+  param("milestone", {
+    title: "Milestone",
+    description: description,
+    placeholder: "Enter milestone number",
+    pattern: {
+      pattern: "^([1-9][0-9]*|none)$",
+      message: "Milestone must be a milestone number or none",
+    },
+  });
+
+const stateReasonParam = (description, value) =>
+  param("stateReason", {
+    title: "Close Reason",
+    description: description,
+    placeholder: "Select close reason",
+    options: [
+      { value: "completed", title: "Completed" },
+      { value: "not_planned", title: "Not Planned" },
+    ],
+    value: value,
+  });
+
+const dateParam = (key, { title, description }) =>
+  param(key, {
+    title: title,
+    description: description,
+    placeholder: "Enter date: e.g. 2024-05-31",
+    pattern: {
+      pattern: "^\\d{4}-\\d{2}-\\d{2}(T[\\d:.]+(Z|[+-]\\d{2}:\\d{2})?)?$",
+      message: `${title} must be an ISO 8601 date`,
+    },
+  });
+
+export default [
+  {
+    name: "list-issues",
+    feature: "issues",
+    handler: "actionListIssues",
+    mutates: false,
+    title: "List Issues",
+    description:
+      "List or search the issues of a repository, filtered by state, labels, assignee, creator or milestone",
+    params: [
+      repoNameParam("The name of the repository to list issues of"),
+      param("search", {
+        title: "Search Text",
+        description:
+          "Optional: only issues whose title, body or comments match this text",
+        placeholder: "Enter search text",
+      }),
+      param("state", {
+        title: "State",
+        description: "Filter issues by state (open, closed, all)",
+        placeholder: "Select state",
+        options: [
+          { value: "open", title: "Open" },
+          { value: "closed", title: "Closed" },
+          { value: "all", title: "All" },
+        ],
+        value: ["open"],
+      }),
+      labelsParam("Optional: only issues carrying all of these labels"),
+      param("assignee", {
+        title: "Assignee",
+        description:
+          "Optional: only issues assigned to this user, none for unassigned ones",
+        placeholder: "Enter assignee login",
+      }),
+      param("creator", {
+        title: "Creator",
+        description: "Optional: only issues opened by this user",
+        placeholder: "Enter creator login",
+      }),
+      param("milestone", {
+        title: "Milestone",
+        description:
+          "Optional: milestone number, * for issues with any milestone, none for issues without",
+        placeholder: "Enter milestone number",
+        pattern: {
+          pattern: "^([1-9][0-9]*|none|\\*)$",
+          message: "Milestone must be a milestone number, * or none",
+        },
+      }),
+      param("sort", {
+        title: "Sort By",
+        description: "Sort issues by (created, updated, comments)",
+        placeholder: "Select sorting criteria",
+        options: [
+          { value: "created", title: "Created" },
+          { value: "updated", title: "Updated" },
+          { value: "comments", title: "Comments" },
+        ],
+        value: ["created"],
+      }),
+      param("direction", {
+        title: "Direction",
+        description: "Sort direction (asc, desc)",
+        placeholder: "Select sort direction",
+        options: [
+          { value: "desc", title: "Descending" },
+          { value: "asc", title: "Ascending" },
+        ],
+        value: ["desc"],
+      }),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "get-issue",
+    feature: "issues",
+    handler: "actionGetIssue",
+    mutates: false,
+    title: "Get Issue",
+    description: "Fetch an issue with its labels, assignees and milestone",
+    params: [
+      repoNameParam("The name of the repository containing the issue"),
+      issueNumberParam("The number of the issue to fetch"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "create-issue",
+    feature: "issues",
+    handler: "actionCreateIssue",
+    mutates: true,
+    title: "Create Issue",
+    description:
+      "Open an issue, optionally labelled, assigned and attached to a milestone",
+    params: [
+      repoNameParam("The name of the repository to open the issue in"),
+      param("title", {
+        title: "Title",
+        description: "The title of the issue",
+        placeholder: "Enter issue title",
+        required: true,
+      }),
+      param("body", {
+        title: "Description",
+        description: "Optional: the description of the issue",
+        placeholder: "Enter issue description",
+        type: "text",
+      }),
+      labelsParam("Optional: labels to add to the issue"),
+      assigneesParam("Optional: logins of the users to assign"),
+      milestoneParam("Optional: number of the milestone to attach"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "update-issue",
+    feature: "issues",
+    handler: "actionUpdateIssue",
+    mutates: true,
+    title: "Update Issue",
+    description:
+      "Change the title, description, state, labels, assignees or milestone of an issue",
+    params: [
+      repoNameParam("The name of the repository containing the issue"),
+      issueNumberParam("The number of the issue to update"),
+      param("title", {
+        title: "Title",
+        description: "Optional: the new title",
+        placeholder: "Enter issue title",
+      }),
+      param("body", {
+        title: "Description",
+        description: "Optional: the new description",
+        placeholder: "Enter issue description",
+        type: "text",
+      }),
+      param("state", {
+        title: "State",
+        description: "Optional: reopen (open) or close (closed) the issue",
+        placeholder: "Select state",
+        options: [
+          { value: "open", title: "Open" },
+          { value: "closed", title: "Closed" },
+        ],
+      }),
+      stateReasonParam("Optional: why the issue is closed", []),
+      labelsParam("Optional: labels replacing the current ones"),
+      assigneesParam("Optional: logins replacing the current assignees"),
+      milestoneParam(
+        "Optional: number of the milestone to attach, none to detach it"
+      ),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "close-issue",
+    feature: "issues",
+    handler: "actionCloseIssue",
+    mutates: true,
+    title: "Close Issue",
+    description: "Close an issue as completed or not planned",
+    params: [
+      repoNameParam("The name of the repository containing the issue"),
+      issueNumberParam("The number of the issue to close"),
+      stateReasonParam("Why the issue is closed", ["completed"]),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "reopen-issue",
+    feature: "issues",
+    handler: "actionReopenIssue",
+    mutates: true,
+    title: "Reopen Issue",
+    description: "Reopen a closed issue",
+    params: [
+      repoNameParam("The name of the repository containing the issue"),
+      issueNumberParam("The number of the issue to reopen"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "add-issue-labels",
+    feature: "issues",
+    handler: "actionAddIssueLabels",
+    mutates: true,
+    title: "Add Issue Labels",
+    description: "Add labels to an issue, keeping the ones it already has",
+    params: [
+      repoNameParam("The name of the repository containing the issue"),
+      issueNumberParam("The number of the issue to label"),
+      labelsParam("The labels to add", true),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "remove-issue-labels",
+    feature: "issues",
+    handler: "actionRemoveIssueLabels",
+    mutates: true,
+    title: "Remove Issue Labels",
+    description: "Remove labels from an issue",
+    params: [
+      repoNameParam("The name of the repository containing the issue"),
+      issueNumberParam("The number of the issue to remove labels from"),
+      labelsParam("The labels to remove", true),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "add-issue-assignees",
+    feature: "issues",
+    handler: "actionAddIssueAssignees",
+    mutates: true,
+    title: "Add Issue Assignees",
+    description: "Assign users to an issue, keeping the current assignees",
+    params: [
+      repoNameParam("The name of the repository containing the issue"),
+      issueNumberParam("The number of the issue to assign"),
+      assigneesParam("Logins of the users to assign", true),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "remove-issue-assignees",
+    feature: "issues",
+    handler: "actionRemoveIssueAssignees",
+    mutates: true,
+    title: "Remove Issue Assignees",
+    description: "Unassign users from an issue",
+    params: [
+      repoNameParam("The name of the repository containing the issue"),
+      issueNumberParam("The number of the issue to unassign users from"),
+      assigneesParam("Logins of the users to unassign", true),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-milestones",
+    feature: "issues",
+    handler: "actionListMilestones",
+    mutates: false,
+    title: "List Milestones",
+    description: "List the milestones of a repository, soonest due first",
+    params: [
+      repoNameParam("The name of the repository to list milestones of"),
+      param("state", {
+        title: "State",
+        description: "Filter milestones by state (open, closed, all)",
+        placeholder: "Select state",
+        options: [
+          { value: "open", title: "Open" },
+          { value: "closed", title: "Closed" },
+          { value: "all", title: "All" },
+        ],
+        value: ["open"],
+      }),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "create-milestone",
+    feature: "issues",
+    handler: "actionCreateMilestone",
+    mutates: true,
+    title: "Create Milestone",
+    description: "Create a milestone to group issues under",
+    params: [
+      repoNameParam("The name of the repository to create the milestone in"),
+      param("title", {
+        title: "Title",
+        description: "The title of the milestone",
+        placeholder: "Enter milestone title",
+        required: true,
+      }),
+      param("description", {
+        title: "Description",
+        description: "Optional: the description of the milestone",
+        placeholder: "Enter milestone description",
+        type: "text",
+      }),
+      dateParam("dueOn", {
+        title: "Due Date",
+        description: "Optional: the date the milestone is due",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-issue-comments",
+    feature: "issues",
+    handler: "actionListIssueComments",
+    mutates: false,
+    title: "List Issue Comments",
+    description: "List the comments of an issue, oldest first",
+    params: [
+      repoNameParam("The name of the repository containing the issue"),
+      issueNumberParam("The number of the issue to list comments of"),
+      dateParam("since", {
+        title: "Since",
+        description: "Optional: only comments updated after this date",
+      }),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "create-issue-comment",
+    feature: "issues",
+    handler: "actionCreateIssueComment",
+    mutates: true,
+    title: "Comment on Issue",
+    description: "Add a comment to an issue",
+    params: [
+      repoNameParam("The name of the repository containing the issue"),
+      issueNumberParam("The number of the issue to comment on"),
+      param("body", {
+        title: "Comment",
+        description: "The comment text to add to the issue",
+        placeholder: "Enter your comment",
+        type: "text",
+        required: true,
+      }),
+      ownerParam(),
+    ],
+  },
+];
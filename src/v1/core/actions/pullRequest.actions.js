@@ -0,0 +1,384 @@
+import {
+  ownerParam,
+  paginationParams,
+  param,
+  prNumberParam,
+  repoNameParam,
+} from "./action.params.js";
+
+export default [
+  {
+    name: "comment-prs",
+    feature: "pullRequests",
+    handler: "actionCommentPrs",
+    mutates: true,
+    title: "Comment on Pull Requests",
+    description: "Create a new comment on a specific pull request",
+    params: [
+      repoNameParam("The name of the repository containing the pull request"),
+      prNumberParam("The number of the pull request to comment on"),
+      param("comment", {
+        title: "Comment",
+        description: "The comment text to add to the pull request",
+        placeholder: "Enter your comment",
+        type: "text",
+        required: true,
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-pulls",
+    feature: "pullRequests",
+    handler: "actionListPulls",
+    mutates: false,
+    title: "List Pull Requests",
+    description:
+      "List the pull requests of a repository, filtered by state, base, head or author",
+    params: [
+      repoNameParam("The name of the repository to list pull requests of"),
+      param("state", {
+        title: "State",
+        description: "Filter pull requests by state (open, closed, all)",
+        placeholder: "Select state",
+        options: [
+          { value: "open", title: "Open" },
+          { value: "closed", title: "Closed" },
+          { value: "all", title: "All" },
+        ],
+        value: ["open"],
+      }),
+      param("base", {
+        title: "Base Branch",
+        description: "Optional: only pull requests merging into this branch",
+        placeholder: "Enter base branch: e.g. main",
+      }),
+      param("head", {
+        title: "Head Branch",
+        description:
+          "Optional: only pull requests from this branch, as branch or user:branch",
+        placeholder: "Enter head branch: e.g. feature/login",
+      }),
+      param("author", {
+        title: "Author",
+        description: "Optional: only pull requests opened by this user",
+        placeholder: "Enter author login",
+      }),
+      param("sort", {
+        title: "Sort By",
+        description: "Sort pull requests by (created, updated, popularity)",
+        placeholder: "Select sorting criteria",
+        options: [
+          { value: "created", title: "Created" },
+          { value: "updated", title: "Updated" },
+          { value: "popularity", title: "Popularity" },
+        ],
+        value: ["created"],
+      }),
+      param("direction", {
+        title: "Direction",
+        description: "Sort direction (asc, desc)",
+        placeholder: "Select sort direction",
+        options: [
+          { value: "desc", title: "Descending" },
+          { value: "asc", title: "Ascending" },
+        ],
+        value: ["desc"],
+      }),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "get-pull",
+    feature: "pullRequests",
+    handler: "actionGetPull",
+    mutates: false,
+    title: "Get Pull Request",
+    description: "Fetch a pull request with its changed files and commits",
+    params: [
+      repoNameParam("The name of the repository containing the pull request"),
+      prNumberParam("The number of the pull request to fetch"),
+      param("includeFiles", {
+        title: "Include Files",
+        description: "Include the changed files with their patches",
+        placeholder: "Include changed files",
+        type: "checkbox",
+        value: [true],
+      }),
+      param("includeCommits", {
+        title: "Include Commits",
+        description: "Include the commits of the pull request",
+        placeholder: "Include commits",
+        type: "checkbox",
+        value: [true],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "create-pull",
+    feature: "pullRequests",
+    handler: "actionCreatePull",
+    mutates: true,
+    title: "Create Pull Request",
+    description: "Open a pull request from a head branch into a base branch",
+    params: [
+      repoNameParam("The name of the repository to open the pull request in"),
+      param("title", {
+        title: "Title",
+        description: "The title of the pull request",
+        placeholder: "Enter pull request title",
+        required: true,
+      }),
+      param("head", {
+        title: "Head Branch",
+        description:
+          "The branch holding the changes, as user:branch for a branch of a fork",
+        placeholder: "Enter head branch: e.g. feature/login",
+        required: true,
+      }),
+      param("base", {
+        title: "Base Branch",
+        description: "The branch the changes should be merged into",
+        placeholder: "Enter base branch: e.g. main",
+        required: true,
+      }),
+      param("body", {
+        title: "Description",
+        description: "Optional: the description of the pull request",
+        placeholder: "Enter pull request description",
+        type: "text",
+      }),
+      param("draft", {
+        title: "Draft",
+        description: "Open the pull request as a draft",
+        placeholder: "Open as draft",
+        type: "checkbox",
+        value: [false],
+      }),
+      param("maintainerCanModify", {
+        title: "Maintainers Can Modify",
+        description: "Allow maintainers to push to the head branch",
+        placeholder: "Allow maintainer edits",
+        type: "checkbox",
+        value: [true],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "update-pull",
+    feature: "pullRequests",
+    handler: "actionUpdatePull",
+    mutates: true,
+    title: "Update Pull Request",
+    description:
+      "Change the title, description, base branch or state of a pull request",
+    params: [
+      repoNameParam("The name of the repository containing the pull request"),
+      prNumberParam("The number of the pull request to update"),
+      param("title", {
+        title: "Title",
+        description: "Optional: the new title",
+        placeholder: "Enter pull request title",
+      }),
+      param("body", {
+        title: "Description",
+        description: "Optional: the new description",
+        placeholder: "Enter pull request description",
+        type: "text",
+      }),
+      param("base", {
+        title: "Base Branch",
+        description: "Optional: the new base branch",
+        placeholder: "Enter base branch: e.g. main",
+      }),
+      param("state", {
+        title: "State",
+        description:
+          "Optional: reopen (open) or close (closed) the pull request",
+        placeholder: "Select state",
+        options: [
+          { value: "open", title: "Open" },
+          { value: "closed", title: "Closed" },
+        ],
+      }),
+      param("maintainerCanModify", {
+        title: "Maintainers Can Modify",
+        description: "Optional: allow maintainers to push to the head branch",
+        placeholder: "Allow maintainer edits",
+        type: "checkbox",
+        value: [],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "close-pull",
+    feature: "pullRequests",
+    handler: "actionClosePull",
+    mutates: true,
+    title: "Close Pull Request",
+    description: "Close a pull request without merging it",
+    params: [
+      repoNameParam("The name of the repository containing the pull request"),
+      prNumberParam("The number of the pull request to close"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "request-reviewers",
+    feature: "pullRequests",
+    handler: "actionRequestReviewers",
+    mutates: true,
+    title: "Request Reviewers",
+    description: "Request reviews on a pull request from users or teams",
+    params: [
+      repoNameParam("The name of the repository containing the pull request"),
+      prNumberParam("The number of the pull request to request reviews on"),
+      param("reviewers", {
+        title: "Reviewers",
+        description: "Logins of the users to request a review from",
+        placeholder: "Enter logins: e.g. alice, bob",
+      }),
+      param("teamReviewers", {
+        title: "Team Reviewers",
+        description: "Slugs of the teams to request a review from",
+        placeholder: "Enter team slugs: e.g. backend",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "submit-review",
+    feature: "pullRequests",
+    handler: "actionSubmitReview",
+    mutates: true,
+    title: "Submit Review",
+    description: "Approve, request changes on or comment on a pull request",
+    params: [
+      repoNameParam("The name of the repository containing the pull request"),
+      prNumberParam("The number of the pull request to review"),
+      param("event", {
+        title: "Review Action",
+        description: "The review outcome (APPROVE, REQUEST_CHANGES, COMMENT)",
+        placeholder: "Select review action",
+        required: true,
+        options: [
+          { value: "APPROVE", title: "Approve" },
+          { value: "REQUEST_CHANGES", title: "Request Changes" },
+          { value: "COMMENT", title: "Comment" },
+        ],
+        value: ["COMMENT"],
+      }),
+      param("body", {
+        title: "Review Body",
+        description: "The review text, required unless approving",
+        placeholder: "Enter review text",
+        type: "text",
+      }),
+      param("commitSha", {
+        title: "Commit SHA",
+        description:
+          "Optional: the commit the review applies to, defaults to the latest one",
+        placeholder: "Enter commit SHA",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "comment-pr-lines",
+    feature: "pullRequests",
+    handler: "actionCommentPrLines",
+    mutates: true,
+    title: "Comment on Pull Request Lines",
+    description:
+      "Post inline comments and suggestions on lines of the pull request diff as one review",
+    params: [
+      repoNameParam("The name of the repository containing the pull request"),
+      prNumberParam("The number of the pull request to comment on"),
+      param("comments", {
+        title: "Line Comments",
+        description:
+          'JSON list of { path, line, startLine?, side?, body?, suggestion? }, line numbers refer to the new version unless side is "LEFT"',
+        placeholder:
+          'Enter comments: e.g. [{"path": "src/app.js", "line": 12, "body": "Typo"}]',
+        type: "json",
+        required: true,
+      }),
+      param("event", {
+        title: "Review Action",
+        description: "The review outcome (COMMENT, APPROVE, REQUEST_CHANGES)",
+        placeholder: "Select review action",
+        options: [
+          { value: "COMMENT", title: "Comment" },
+          { value: "APPROVE", title: "Approve" },
+          { value: "REQUEST_CHANGES", title: "Request Changes" },
+        ],
+        value: ["COMMENT"],
+      }),
+      param("body", {
+        title: "Review Body",
+        description: "Optional: summary text posted with the comments",
+        placeholder: "Enter review text",
+        type: "text",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "merge-pull",
+    feature: "pullRequests",
+    handler: "actionMergePull",
+    mutates: true,
+    title: "Merge Pull Request",
+    description:
+      "Merge a pull request with the chosen strategy, optionally only if its head is still at the expected SHA",
+    params: [
+      repoNameParam("The name of the repository containing the pull request"),
+      prNumberParam("The number of the pull request to merge"),
+      param("mergeMethod", {
+        title: "Merge Method",
+        description: "How to merge the changes (merge, squash, rebase)",
+        placeholder: "Select merge method",
+        options: [
+          { value: "merge", title: "Merge Commit" },
+          { value: "squash", title: "Squash" },
+          { value: "rebase", title: "Rebase" },
+        ],
+        value: ["merge"],
+      }),
+      param("expectedHeadSha", {
+        title: "Expected Head SHA",
+        description:
+          "Optional: only merge when the head of the pull request is still this commit",
+        placeholder: "Enter head commit SHA",
+        pattern: {
+          pattern: "^[0-9a-f]{40}$",
+          message: "Expected head SHA must be a full 40 character commit SHA",
+        },
+      }),
+      param("commitTitle", {
+        title: "Commit Title",
+        description: "Optional: title of the merge or squash commit",
+        placeholder: "Enter commit title",
+      }),
+      param("commitMessage", {
+        title: "Commit Message",
+        description: "Optional: message of the merge or squash commit",
+        placeholder: "Enter commit message",
+      }),
+      ownerParam(),
+    ],
+  },
+];
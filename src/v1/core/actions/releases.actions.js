@@ -0,0 +1,279 @@
+import {
+  ownerParam,
+  paginationParams,
+  param,
+  repoNameParam,
+} from "./action.params.js";
+
+const releaseParam = (description) =>
+  param("release", {
+    title: "Release",
+    description: `${description}: a release ID, a tag name or "latest" (drafts only by ID)`,
+    placeholder: "Enter release ID or tag: e.g. v1.4.0",
+    required: true,
+  });
+
+const targetParam = (description) =>
+  param("target", {
+    title: "Target",
+    description: description,
+    placeholder: "Enter branch or commit SHA",
+  });
+
+const releaseFieldParams = ({ required }) => [
+  param("tag", {
+    title: "Tag Name",
+    description: required
+      ? "The tag of the release, created on the target when missing"
+      : "Optional: the new tag of the release",
+    placeholder: "Enter tag name: e.g. v1.4.0",
+    required: required,
+  }),
+  targetParam(
+    "Optional: branch or commit a missing tag is created on, defaults to the default branch"
+  ),
+  param("name", {
+    title: "Release Name",
+    description: "Optional: the title of the release, defaults to the tag",
+    placeholder: "Enter release name",
+  }),
+  param("body", {
+    title: "Release Notes",
+    description: "Optional: the description of the release",
+    placeholder: "Enter release notes",
+    type: "text",
+  }),
+  param("draft", {
+    title: "Draft",
+    description: "Keep the release unpublished",
+    placeholder: "Save as draft",
+    type: "checkbox",
+    value: required ? [false] : [],
+  }),
+  param("prerelease", {
+    title: "Pre-release",
+    description: "Mark the release as not ready for production",
+    placeholder: "Mark as pre-release",
+    type: "checkbox",
+    value: required ? [false] : [],
+  }),
+  param("makeLatest", {
+    title: "Make Latest",
+    description:
+      "Optional: whether the release becomes the latest one (true, false, legacy by date)",
+    placeholder: "Select latest release behaviour",
+    options: [
+      { value: "true", title: "Yes" },
+      { value: "false", title: "No" },
+      { value: "legacy", title: "By Date And Version" },
+    ],
+    value: [],
+  }),
+];
+
+export default [
+  {
+    name: "list-releases",
+    feature: "repository",
+    handler: "actionListReleases",
+    mutates: false,
+    title: "List Releases",
+    description: "List the releases of a repository, newest first",
+    params: [
+      repoNameParam("The name of the repository to list releases of"),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "get-release",
+    feature: "repository",
+    handler: "actionGetRelease",
+    mutates: false,
+    title: "Get Release",
+    description: "Fetch a release with its assets",
+    params: [
+      repoNameParam("The name of the repository containing the release"),
+      releaseParam("The release to fetch"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "create-release",
+    feature: "repository",
+    handler: "actionCreateRelease",
+    mutates: true,
+    title: "Create Release",
+    description: "Publish a release, or save it as a draft, for a tag",
+    params: [
+      repoNameParam("The name of the repository to create the release in"),
+      ...releaseFieldParams({ required: true }),
+      param("generateNotes", {
+        title: "Generate Notes",
+        description:
+          "Generate the notes from the pull requests merged since the previous release",
+        placeholder: "Generate release notes",
+        type: "checkbox",
+        value: [false],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "update-release",
+    feature: "repository",
+    handler: "actionUpdateRelease",
+    mutates: true,
+    title: "Update Release",
+    description:
+      "Change a release, e.g. publish a draft or edit its notes, only the given fields change",
+    params: [
+      repoNameParam("The name of the repository containing the release"),
+      releaseParam("The release to update"),
+      ...releaseFieldParams({ required: false }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "delete-release",
+    feature: "repository",
+    handler: "actionDeleteRelease",
+    mutates: true,
+    title: "Delete Release",
+    description: "Delete a release and its assets, optionally with its tag",
+    params: [
+      repoNameParam("The name of the repository containing the release"),
+      releaseParam("The release to delete"),
+      param("deleteTag", {
+        title: "Delete Tag",
+        description: "Delete the tag of the release too",
+        placeholder: "Delete tag",
+        type: "checkbox",
+        value: [false],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "create-tag",
+    feature: "repository",
+    handler: "actionCreateTag",
+    mutates: true,
+    title: "Create Annotated Tag",
+    description: "Create an annotated tag with a message on a commit",
+    params: [
+      repoNameParam("The name of the repository to tag"),
+      param("tag", {
+        title: "Tag Name",
+        description: "The name of the tag",
+        placeholder: "Enter tag name: e.g. v1.4.0",
+        required: true,
+      }),
+      param("message", {
+        title: "Message",
+        description: "The message of the tag",
+        placeholder: "Enter tag message",
+        required: true,
+      }),
+      targetParam(
+        "Optional: branch, tag or commit to tag, defaults to the default branch"
+      ),
+      param("taggerName", {
+        title: "Tagger Name",
+        description:
+          "Optional: the name of the tagger, defaults to the token's user",
+        placeholder: "Enter tagger name",
+      }),
+      param("taggerEmail", {
+        title: "Tagger Email",
+        description: "Optional: the email of the tagger, used with the name",
+        placeholder: "Enter tagger email",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "generate-release-notes",
+    feature: "repository",
+    handler: "actionGenerateReleaseNotes",
+    mutates: false,
+    title: "Generate Release Notes",
+    description:
+      "Draft the notes of a release from the pull requests merged between two tags, nothing is saved",
+    params: [
+      repoNameParam("The name of the repository to generate notes for"),
+      param("tag", {
+        title: "Tag Name",
+        description: "The tag of the release, existing or not",
+        placeholder: "Enter tag name: e.g. v1.4.0",
+        required: true,
+      }),
+      param("previousTag", {
+        title: "Previous Tag",
+        description:
+          "Optional: the tag to start from, defaults to the previous release",
+        placeholder: "Enter previous tag: e.g. v1.3.0",
+      }),
+      targetParam(
+        "Optional: branch or commit the tag would be created on, when it doesn't exist"
+      ),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "upload-release-asset",
+    feature: "repository",
+    handler: "actionUploadReleaseAsset",
+    mutates: true,
+    upload: true,
+    title: "Upload Release Asset",
+    description:
+      "Attach a file to a release, sent as the raw request body with the params in the query string",
+    params: [
+      repoNameParam("The name of the repository containing the release"),
+      releaseParam("The release to attach the file to"),
+      param("name", {
+        title: "File Name",
+        description: "The name of the asset",
+        placeholder: "Enter file name: e.g. app-linux-amd64.tar.gz",
+        required: true,
+      }),
+      param("label", {
+        title: "Label",
+        description: "Optional: the name shown instead of the file name",
+        placeholder: "Enter label",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "download-release-asset",
+    feature: "repository",
+    handler: "actionDownloadReleaseAsset",
+    mutates: false,
+    title: "Download Release Asset",
+    description: "Download a release asset, answered as the raw file",
+    params: [
+      repoNameParam("The name of the repository containing the release"),
+      param("assetId", {
+        title: "Asset ID",
+        description: "The ID of the asset, as listed by get-release",
+        placeholder: "Enter asset ID",
+        required: true,
+        pattern: {
+          pattern: "^[1-9][0-9]*$",
+          message: "Asset ID must be a positive integer",
+        },
+      }),
+      ownerParam(),
+    ],
+  },
+];
@@ -0,0 +1,445 @@
+import {
+  ownerParam,
+  paginationParams,
+  param,
+  refParam,
+  repoNameParam,
+} from "./action.params.js";
+
+const filePathParam = (description) =>
+  param("path", {
+    title: "Path (File Name)",
+    description: description,
+    placeholder: "Enter file path: e.g. config/app.yml",
+    required: true,
+  });
+
+const fileContentParams = () => [
+  param("content", {
+    title: "Content",
+    description: "The content of the file, kept exactly as given",
+    placeholder: "Enter file content",
+    type: "text",
+    required: true,
+  }),
+  param("encoding", {
+    title: "Content Encoding",
+    description: "How the content is given (utf-8 text or base64 for binaries)",
+    placeholder: "Select content encoding",
+    options: [
+      { value: "utf-8", title: "Text (UTF-8)" },
+      { value: "base64", title: "Base64" },
+    ],
+    value: ["utf-8"],
+  }),
+];
+
+const commitMessageParam = () =>
+  param("message", {
+    title: "Commit Message",
+    description: "Optional: the message of the commit",
+    placeholder: "Enter commit message",
+  });
+
+const branchParam = (description) =>
+  param("branch", {
+    title: "Branch Name",
+    description: `${description}, defaults to the default branch`,
+    placeholder: "Enter branch name",
+  });
+
+const blobShaParam = (verb) =>
+  param("sha", {
+    title: "Expected File SHA",
+    description: `Optional: only ${verb} the file if its blob SHA is still this one, otherwise fail with a conflict`,
+    placeholder: "Enter file blob SHA",
+  });
+
+export default [
+  {
+    name: "list-repos",
+    feature: "repository",
+    handler: "actionListRepos",
+    mutates: false,
+    title: "List Repositories",
+    description: "List the repositories of your selected SCM, page by page",
+    params: [
+      param("owner", {
+        title: "Account or Organization (owner)",
+        description:
+          "Optional: account or organization to get repositories for. Leave empty to list the repositories the token can access.",
+        placeholder: "Enter account or organization (owner): dear-john",
+      }),
+      param("visibility", {
+        title: "Repository Visibility",
+        description: "Filter repositories by visibility (all, public, private)",
+        placeholder: "Select repository visibility",
+        options: [
+          { value: "all", title: "All" },
+          { value: "public", title: "Public" },
+          { value: "private", title: "Private" },
+        ],
+        value: ["all"],
+      }),
+      param("type", {
+        title: "Repository Type",
+        description:
+          "Optional: filter organization repositories by type (all, public, private, forks, sources, member), overrides visibility",
+        placeholder: "Select repository type",
+        options: [
+          { value: "all", title: "All" },
+          { value: "public", title: "Public" },
+          { value: "private", title: "Private" },
+          { value: "forks", title: "Forks" },
+          { value: "sources", title: "Sources" },
+          { value: "member", title: "Member" },
+        ],
+      }),
+      param("topic", {
+        title: "Topic",
+        description: "Optional: only list repositories tagged with this topic",
+        placeholder: "Enter topic: e.g. backend",
+        pattern: { pattern: "^[a-z0-9][a-z0-9-]*$", message: "Invalid topic" },
+      }),
+      param("sort", {
+        title: "Sort By",
+        description:
+          "Sort repositories by (created, updated, pushed, full_name)",
+        placeholder: "Select sorting criteria",
+        required: true,
+        options: [
+          { value: "created", title: "Created" },
+          { value: "updated", title: "Updated" },
+          { value: "pushed", title: "Pushed" },
+          { value: "full_name", title: "Full Name" },
+        ],
+        value: ["updated"],
+      }),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "list-orgs",
+    feature: "repository",
+    handler: "actionListOrgs",
+    mutates: false,
+    title: "List Organizations",
+    description: "List the organizations the authenticated account belongs to",
+    params: [...paginationParams()],
+  },
+
+  {
+    name: "get-repo",
+    feature: "repository",
+    handler: "actionGetRepo",
+    mutates: false,
+    title: "Get Repository",
+    description: "Fetch detailed information about a specific repository",
+    params: [
+      repoNameParam("The name of the repository to fetch details for"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-repo-contents",
+    feature: "repository",
+    handler: "actionListRepoContents",
+    mutates: false,
+    title: "List Repository Contents",
+    description:
+      "List the files and directories of a repository path, on an optional branch or commit",
+    params: [
+      repoNameParam("The name of the repository to list contents of"),
+      param("path", {
+        title: "Path",
+        description: "Optional: directory to list, defaults to the root",
+        placeholder: "Enter directory path",
+      }),
+      refParam(
+        "Optional: branch, tag or commit to list, defaults to the default branch"
+      ),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-repo-tree",
+    feature: "repository",
+    handler: "actionListRepoTree",
+    mutates: false,
+    title: "List Repository Tree",
+    description:
+      "List every file and directory of a repository in one call, with their type and size, filtered by glob patterns",
+    params: [
+      repoNameParam("The name of the repository to list the tree of"),
+      refParam(
+        "Optional: branch, tag or commit to list, defaults to the default branch"
+      ),
+      param("path", {
+        title: "Path",
+        description: "Optional: only list the entries under this directory",
+        placeholder: "Enter directory path",
+      }),
+      param("include", {
+        title: "Include",
+        description:
+          "Optional: glob patterns of the paths to keep (*, **, ?, [abc], {a,b}), a pattern without a slash matches names at any depth",
+        placeholder: "Enter patterns: e.g. src/**/*.js, *.md",
+      }),
+      param("exclude", {
+        title: "Exclude",
+        description:
+          "Optional: glob patterns of the paths to drop, a matched directory drops everything below it",
+        placeholder: "Enter patterns: e.g. node_modules, dist/",
+      }),
+      param("type", {
+        title: "Entry Type",
+        description:
+          "Which entries to list (all, file, dir, symlink, submodule)",
+        placeholder: "Select entry type",
+        options: [
+          { value: "all", title: "All" },
+          { value: "file", title: "Files" },
+          { value: "dir", title: "Directories" },
+          { value: "symlink", title: "Symbolic Links" },
+          { value: "submodule", title: "Submodules" },
+        ],
+        value: ["all"],
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "get-repo-file-content",
+    feature: "repository",
+    handler: "actionGetRepoFileContent",
+    mutates: false,
+    title: "Get the File (Content)",
+    description: "Fetch contents of the file within a specific repository",
+    params: [
+      repoNameParam("The name of the repository to fetch details for"),
+      param("path", {
+        title: "Path (File Name)",
+        description:
+          "The name of the file (path) in repository to fetch data for",
+        placeholder: "Enter file path",
+        required: true,
+      }),
+      refParam(
+        "Optional: branch, tag or commit to read, defaults to the default branch"
+      ),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "list-branches",
+    feature: "repository",
+    handler: "actionListBranches",
+    mutates: false,
+    title: "List Repository Branches",
+    description: "List all branches within a specific repository",
+    params: [
+      repoNameParam("The name of the repository to fetch branches from"),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "list-branch-commits",
+    feature: "repository",
+    handler: "actionListBranchCommits",
+    mutates: false,
+    title: "List Branch Commits",
+    description: "List all commits within a specific branch of a repository",
+    params: [
+      repoNameParam("The name of the repository to fetch commits from"),
+      param("branch", {
+        title: "Branch Name",
+        description:
+          "Optional: the name of the branch to fetch commits from, defaults to the default branch",
+        placeholder: "Enter branch name",
+      }),
+      ownerParam(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "list-commit-modifications",
+    feature: "repository",
+    handler: "actionListCommitModifications",
+    mutates: false,
+    title: "Get Commit Modifications",
+    description:
+      "List all files that have been modified within a specific commit",
+    params: [
+      repoNameParam(
+        "The name of the repository to fetch commit modifications from"
+      ),
+      param("commitSha", {
+        title: "Commit SHA",
+        description: "The SHA of the commit to fetch modifications for",
+        placeholder: "Enter commit SHA",
+        required: true,
+      }),
+      param("includeContent", {
+        title: "Include Content (Only for BitBucket)",
+        description: "Include the actual diff content in the response",
+        placeholder: "Include diff content",
+        type: "checkbox",
+        value: [false],
+      }),
+      ownerParam(),
+      ...paginationParams({ fetchAll: true }),
+    ],
+  },
+
+  {
+    name: "get-commit-details",
+    feature: "repository",
+    handler: "actionGetCommitDetails",
+    mutates: false,
+    title: "Get Commit Details",
+    description:
+      "Retrieve detailed information about a specific commit including stats, author details, and verification status",
+    params: [
+      repoNameParam("The name of the repository containing the commit"),
+      param("commitSha", {
+        title: "Commit SHA",
+        description: "The full SHA hash of the commit to retrieve",
+        placeholder: "Enter full commit SHA",
+        required: true,
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "commits-diff",
+    feature: "repository",
+    handler: "actionCommitsDiff",
+    mutates: false,
+    title: "Compare Commits (Diff)",
+    description: "Compare two commits and get their differences",
+    params: [
+      repoNameParam("The name of the repository to compare commits from"),
+      param("baseCommit", {
+        title: "Base Commit",
+        description: "The base commit hash to compare from",
+        placeholder: "Enter base commit hash (previous commit in the past)",
+        required: true,
+      }),
+      param("headCommit", {
+        title: "Head Commit",
+        description: "The head commit hash to compare to (current hash)",
+        placeholder: "Enter head commit hash",
+        required: true,
+      }),
+      param("filePath", {
+        title: "File Path",
+        description: "Optional: Specific file path to compare between commits",
+        placeholder: "Enter file path (optional)",
+      }),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "create-file",
+    feature: "repository",
+    handler: "actionCreateFile",
+    mutates: true,
+    title: "Create File",
+    description: "Commit a new file to a branch, failing if the file exists",
+    params: [
+      repoNameParam("The name of the repository to create the file in"),
+      filePathParam("The path of the file to create"),
+      ...fileContentParams(),
+      commitMessageParam(),
+      branchParam("Optional: the branch to commit to"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "update-file",
+    feature: "repository",
+    handler: "actionUpdateFile",
+    mutates: true,
+    title: "Update File",
+    description:
+      "Commit new content for an existing file, optionally only if it is still at the expected version",
+    params: [
+      repoNameParam("The name of the repository containing the file"),
+      filePathParam("The path of the file to update"),
+      ...fileContentParams(),
+      commitMessageParam(),
+      branchParam("Optional: the branch to commit to"),
+      blobShaParam("update"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "delete-file",
+    feature: "repository",
+    handler: "actionDeleteFile",
+    mutates: true,
+    title: "Delete File",
+    description:
+      "Commit the deletion of a file, optionally only if it is still at the expected version",
+    params: [
+      repoNameParam("The name of the repository containing the file"),
+      filePathParam("The path of the file to delete"),
+      commitMessageParam(),
+      branchParam("Optional: the branch to commit to"),
+      blobShaParam("delete"),
+      ownerParam(),
+    ],
+  },
+
+  {
+    name: "create-commit",
+    feature: "repository",
+    handler: "actionCreateCommit",
+    mutates: true,
+    title: "Commit Multiple Files",
+    description:
+      "Write and delete several files in one commit, only if the branch is still at the expected commit",
+    params: [
+      repoNameParam("The name of the repository to commit to"),
+      param("changes", {
+        title: "File Changes",
+        description:
+          'JSON list of { path, content, encoding?, mode? } to write and { path, delete: true } to delete, encoding is "utf-8" or "base64"',
+        placeholder:
+          'Enter changes: e.g. [{"path": "config/app.yml", "content": "debug: false"}]',
+        type: "json",
+        required: true,
+      }),
+      param("message", {
+        title: "Commit Message",
+        description: "The message of the commit",
+        placeholder: "Enter commit message",
+        required: true,
+      }),
+      branchParam("Optional: the branch to commit to"),
+      param("expectedParentSha", {
+        title: "Expected Parent SHA",
+        description:
+          "Optional: only commit when the branch is still at this commit, otherwise fail with a conflict",
+        placeholder: "Enter parent commit SHA",
+        pattern: {
+          pattern: "^[0-9a-f]{40}$",
+          message: "Expected parent SHA must be a full 40 character commit SHA",
+        },
+      }),
+      ownerParam(),
+    ],
+  },
+];
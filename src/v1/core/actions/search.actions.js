@@ -0,0 +1,214 @@
+import { ownerParam, paginationParams, param } from "./action.params.js";
+
+const queryParam = (description, { placeholder, required = false }) =>
+  param("query", {
+    title: "Query",
+    description: description,
+    placeholder: placeholder,
+    required: required,
+  });
+
+// Searches cover every repository of the owner unless one is named
+const scopeParams = () => [
+  param("repoName", {
+    title: "Repository Name",
+    description:
+      "Optional: search this repository only, instead of every repository of the owner",
+    placeholder: "Enter repository name",
+  }),
+  ownerParam(),
+];
+
+const dateParam = (key, { title, description }) =>
+  param(key, {
+    title: title,
+    description: description,
+    placeholder: "Enter date: e.g. 2024-05-31",
+    pattern: {
+      pattern: "^\\d{4}-\\d{2}-\\d{2}(T[\\d:.]+(Z|[+-]\\d{2}:\\d{2})?)?$",
+      message: `${title} must be an ISO 8601 date`,
+    },
+  });
+
+const directionParam = () =>
+  param("direction", {
+    title: "Sort Direction",
+    description: "Direction of the sort (asc, desc)",
+    placeholder: "Select sort direction",
+    options: [
+      { value: "desc", title: "Descending" },
+      { value: "asc", title: "Ascending" },
+    ],
+    value: ["desc"],
+  });
+
+export default [
+  {
+    name: "search-code",
+    feature: "repository",
+    handler: "actionSearchCode",
+    mutates: false,
+    title: "Search Code",
+    description:
+      "Find files whose content matches a query on the default branches of the owner's repositories, with the matched fragments",
+    params: [
+      queryParam(
+        "Text to look for, with GitHub code search qualifiers other than org, user and repo",
+        { placeholder: "Enter search text: e.g. lodash", required: true }
+      ),
+      ...scopeParams(),
+      param("language", {
+        title: "Language",
+        description: "Optional: only files in this language",
+        placeholder: "Enter language: e.g. javascript",
+      }),
+      param("path", {
+        title: "Path",
+        description: "Optional: only files under this directory",
+        placeholder: "Enter path: e.g. src/",
+      }),
+      param("filename", {
+        title: "File Name",
+        description: "Optional: only files with this name",
+        placeholder: "Enter file name: e.g. package.json",
+      }),
+      param("extension", {
+        title: "Extension",
+        description: "Optional: only files with this extension",
+        placeholder: "Enter extension: e.g. js",
+      }),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "search-commits",
+    feature: "repository",
+    handler: "actionSearchCommits",
+    mutates: false,
+    title: "Search Commits",
+    description:
+      "Find commits of the default branches by message or author across the owner's repositories",
+    params: [
+      queryParam(
+        "Optional: text to look for in commit messages, a query or an author is required",
+        { placeholder: "Enter search text: e.g. fix login" }
+      ),
+      param("author", {
+        title: "Author",
+        description: "Optional: only commits by this login or email",
+        placeholder: "Enter author login or email",
+      }),
+      dateParam("since", {
+        title: "Since",
+        description: "Optional: only commits authored on or after this date",
+      }),
+      dateParam("until", {
+        title: "Until",
+        description: "Optional: only commits authored on or before this date",
+      }),
+      param("sort", {
+        title: "Sort By",
+        description:
+          "Optional: sort by date instead of best match (author-date, committer-date)",
+        placeholder: "Select sort field",
+        options: [
+          { value: "author-date", title: "Author Date" },
+          { value: "committer-date", title: "Committer Date" },
+        ],
+        value: [],
+      }),
+      directionParam(),
+      ...scopeParams(),
+      ...paginationParams(),
+    ],
+  },
+
+  {
+    name: "search-issues",
+    feature: "issues",
+    handler: "actionSearchIssues",
+    mutates: false,
+    title: "Search Issues And Pull Requests",
+    description:
+      "Find issues and pull requests across the owner's repositories by text, state, people, labels or dates",
+    params: [
+      queryParam(
+        "Optional: text to look for, with GitHub issue search qualifiers other than org, user and repo",
+        { placeholder: "Enter search text: e.g. memory leak" }
+      ),
+      param("type", {
+        title: "Type",
+        description: "Whether to find issues, pull requests or both",
+        placeholder: "Select type",
+        options: [
+          { value: "all", title: "Both" },
+          { value: "issue", title: "Issues" },
+          { value: "pr", title: "Pull Requests" },
+        ],
+        value: ["all"],
+      }),
+      param("state", {
+        title: "State",
+        description: "State of the results (open, closed, all)",
+        placeholder: "Select state",
+        options: [
+          { value: "all", title: "All" },
+          { value: "open", title: "Open" },
+          { value: "closed", title: "Closed" },
+        ],
+        value: ["all"],
+      }),
+      param("author", {
+        title: "Author",
+        description: "Optional: only results opened by this user",
+        placeholder: "Enter author login",
+      }),
+      param("assignee", {
+        title: "Assignee",
+        description: "Optional: only results assigned to this user",
+        placeholder: "Enter assignee login",
+      }),
+      param("labels", {
+        title: "Labels",
+        description: "Optional: only results carrying all of these labels",
+        placeholder: "Enter labels: e.g. bug, incident",
+      }),
+      param("dateField", {
+        title: "Date Field",
+        description:
+          "The date since and until apply to (created, updated, closed)",
+        placeholder: "Select date field",
+        options: [
+          { value: "created", title: "Created" },
+          { value: "updated", title: "Updated" },
+          { value: "closed", title: "Closed" },
+        ],
+        value: ["created"],
+      }),
+      dateParam("since", {
+        title: "Since",
+        description: "Optional: only results dated on or after this date",
+      }),
+      dateParam("until", {
+        title: "Until",
+        description: "Optional: only results dated on or before this date",
+      }),
+      param("sort", {
+        title: "Sort By",
+        description:
+          "Optional: sort by a field instead of best match (created, updated, comments)",
+        placeholder: "Select sort field",
+        options: [
+          { value: "created", title: "Created" },
+          { value: "updated", title: "Updated" },
+          { value: "comments", title: "Comments" },
+        ],
+        value: [],
+      }),
+      directionParam(),
+      ...scopeParams(),
+      ...paginationParams(),
+    ],
+  },
+];
@@ -0,0 +1,28 @@
+import { pipeline } from "stream";
+
+// Returned by actions answering with a file instead of JSON, the controller
+// streams it to the caller without buffering it
+export default class BinaryResult {
+  constructor(stream, { filename, contentType, contentLength } = {}) {
+    this.stream = stream;
+    this.filename = filename;
+    this.contentType = contentType || "application/octet-stream";
+    this.contentLength = contentLength;
+  }
+
+  send(res) {
+    // attachment() guesses a type from the file name, the known one wins
+    if (this.filename) {
+      res.attachment(this.filename);
+    }
+    res.set("Content-Type", this.contentType);
+    if (this.contentLength) {
+      res.set("Content-Length", String(this.contentLength));
+    }
+
+    // Headers are already sent when the source fails midway, the cut connection tells the caller
+    pipeline(this.stream, res, (error) => {
+      if (error) console.error("Binary response failed:", error.message);
+    });
+  }
+}
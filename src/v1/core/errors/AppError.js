@@ -1,9 +1,15 @@
 class AppError extends Error {
-  constructor(message, statusCode = 500, errorCode = "INTERNAL_ERROR") {
+  constructor(
+    message,
+    statusCode = 500,
+    errorCode = "INTERNAL_ERROR",
+    data = undefined
+  ) {
     super(message);
     this.name = this.constructor.name;
     this.statusCode = statusCode;
     this.errorCode = errorCode;
+    this.data = data;
     Error.captureStackTrace(this, this.constructor);
   }
 }
@@ -0,0 +1,101 @@
+// Checks request params against an action's param schema: values are coerced to
+// their input_type and defaulted, each bad field gets its own error. Strings are
+// trimmed, `text` values (file contents, markdown bodies) are kept exactly as given
+
+const TRUE_VALUES = [true, "true", "1", 1, "on", "yes"];
+const FALSE_VALUES = [false, "false", "0", 0, "off", "no"];
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+// An empty or blank text is a value of its own, e.g. an empty file
+const isMissing = (schema, value) =>
+  schema.attr?.input_type === "text"
+    ? value === undefined || value === null
+    : isEmpty(value);
+
+const coerce = (schema, value) => {
+  switch (schema.attr?.input_type) {
+    case "number": {
+      const number = Number(typeof value === "string" ? value.trim() : value);
+      if (typeof value === "boolean" || !Number.isFinite(number)) {
+        throw new Error(`${schema.title} must be a number`);
+      }
+      return number;
+    }
+    case "json": {
+      if (typeof value !== "string") return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new Error(`${schema.title} must be valid JSON`);
+      }
+    }
+    case "checkbox": {
+      const normalized = typeof value === "string" ? value.trim() : value;
+      if (TRUE_VALUES.includes(normalized)) return true;
+      if (FALSE_VALUES.includes(normalized)) return false;
+      throw new Error(`${schema.title} must be true or false`);
+    }
+    case "text":
+      if (typeof value === "object") {
+        throw new Error(`${schema.title} must be a string`);
+      }
+      return String(value);
+    default:
+      if (typeof value === "object") {
+        throw new Error(`${schema.title} must be a string`);
+      }
+      return String(value).trim();
+  }
+};
+
+const check = (schema, value) => {
+  const options = schema.options?.map((option) => option.value);
+  if (options?.length && !options.includes(value)) {
+    throw new Error(`${schema.title} must be one of: ${options.join(", ")}`);
+  }
+
+  const regex = schema.attr?.regex_pattern;
+  if (regex && !new RegExp(regex.pattern).test(String(value))) {
+    throw new Error(regex.message || `${schema.title} is invalid`);
+  }
+};
+
+export const validateParams = (schemas = [], params = []) => {
+  const errors = {};
+  const normalized = [];
+  const given = Array.isArray(params) ? params : [];
+
+  for (const schema of schemas) {
+    const param = given.find((par) => par?.key === schema.key);
+    const rawValues = [].concat(param?.value ?? []);
+    let values = rawValues.filter((value) => !isMissing(schema, value));
+
+    if (!values.length) {
+      values = (schema.value || []).filter((value) => !isEmpty(value));
+    }
+    if (!values.length) {
+      if (schema.attr?.required) {
+        errors[schema.key] = `${schema.title} is required`;
+      }
+      continue;
+    }
+
+    try {
+      const coerced = values.map((value) => coerce(schema, value));
+      coerced.forEach((value) => check(schema, value));
+      normalized.push({ ...param, key: schema.key, value: coerced });
+    } catch (error) {
+      errors[schema.key] = error.message;
+    }
+  }
+
+  // Params the schema doesn't know about are passed through untouched
+  const known = schemas.map((schema) => schema.key);
+  normalized.push(...given.filter((par) => !known.includes(par?.key)));
+
+  return { params: normalized, errors };
+};
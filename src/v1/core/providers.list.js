@@ -12,15 +12,24 @@ export default [
     title: "GitLab",
     description: "GitLab cloud repository and CI/CD service provider",
     baseUrl: "https://gitlab.com/api/v4",
-    isEnabled: false,
-    features: ["repository", "cicd", "issues", "mergeRequests"],
+    isEnabled: true,
+    features: ["repository", "cicd", "issues", "pullRequests"],
   },
   {
     name: "bitbucket",
     title: "Bitbucket",
     description: "Bitbucket cloud repository and CI/CD service provider",
     baseUrl: "https://api.bitbucket.org/2.0",
-    isEnabled: false,
+    isEnabled: true,
     features: ["repository", "cicd", "issues", "pullRequests"],
   },
+  {
+    name: "local",
+    title: "Local Git",
+    description:
+      "Bare or working-copy git repositories on the local filesystem",
+    baseUrl: null,
+    isEnabled: true,
+    features: ["repository"],
+  },
 ];
@@ -0,0 +1,10 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+// Carries per-call state (action name, cache bypass...) down to the HTTP layer
+// without threading it through every provider method
+const storage = new AsyncLocalStorage();
+
+export const runWithContext = (context, callback) =>
+  storage.run(context, callback);
+
+export const getContext = () => storage.getStore() || {};
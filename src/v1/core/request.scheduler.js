@@ -0,0 +1,220 @@
+import axios, { AxiosHeaders } from "axios";
+import AppError from "./errors/AppError.js";
+import { getContext } from "./request.context.js";
+
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const NETWORK_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class RequestScheduler {
+  constructor({
+    enabled = true,
+    maxRequests = 0,
+    windowMs = 0,
+    maxWaitMs = 60 * 1000,
+    retry = {},
+  } = {}) {
+    this.enabled = enabled;
+    this.maxRequests = maxRequests;
+    this.windowMs = windowMs;
+    this.maxWaitMs = maxWaitMs;
+    this.retries = retry.retries ?? 3;
+    this.baseDelayMs = retry.baseDelayMs ?? 1000;
+    this.maxDelayMs = retry.maxDelayMs ?? 30 * 1000;
+
+    this.sent = []; // timestamps of requests inside the local window
+    this.limits = {}; // last known quota per rate limit resource
+    this.blockedUntil = 0; // set by secondary rate limits, applies to all resources
+    this.queues = {}; // one chain of pending slots per resource
+  }
+
+  // Wraps the client's adapter, attach before any cache so cache hits skip the queue
+  attach(client) {
+    const adapter = axios.getAdapter(
+      client.defaults.adapter || axios.defaults.adapter
+    );
+    client.defaults.adapter = (config) => this.handle(config, adapter);
+    return client;
+  }
+
+  // GitHub keeps separate quotas for search and GraphQL
+  resourceFor(config) {
+    const url = config.url || "";
+    if (/\/search\/code/.test(url)) return "code_search";
+    if (/\/search\//.test(url)) return "search";
+    if (/\/graphql$/.test(url)) return "graphql";
+    return "core";
+  }
+
+  record(headers, resource) {
+    const header = AxiosHeaders.from(headers);
+    if (!header.has("x-ratelimit-remaining")) return;
+
+    const limit = {
+      resource: header.get("x-ratelimit-resource") || resource,
+      limit: Number(header.get("x-ratelimit-limit")),
+      remaining: Number(header.get("x-ratelimit-remaining")),
+      used: Number(header.get("x-ratelimit-used")),
+      reset: Number(header.get("x-ratelimit-reset")),
+    };
+    this.limits[resource] = limit;
+
+    const context = getContext();
+    context.rateLimit = { ...context.rateLimit, [resource]: limit };
+  }
+
+  rateLimitError(waitMs) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+
+    return new AppError(
+      `GitHub rate limit exceeded, retry in ${retryAfter} seconds`,
+      429,
+      "RATE_LIMITED",
+      { retryAfter, resetAt: new Date(Date.now() + waitMs).toISOString() }
+    );
+  }
+
+  waitTimeFor(resource) {
+    const now = Date.now();
+    const waits = [this.blockedUntil - now];
+
+    const limit = this.limits[resource];
+    if (limit?.remaining === 0) {
+      waits.push(limit.reset * 1000 - now);
+    }
+
+    if (this.maxRequests && this.windowMs) {
+      this.sent = this.sent.filter((time) => now - time < this.windowMs);
+      if (this.sent.length >= this.maxRequests) {
+        waits.push(this.sent[0] + this.windowMs - now);
+      }
+    }
+
+    return Math.max(0, ...waits);
+  }
+
+  // Requests of a resource take their slot one after another, so a drained search
+  // quota holds the searches while the core calls go on
+  acquire(resource) {
+    const queue = this.queues[resource] || Promise.resolve();
+    const slot = queue.then(async () => {
+      // Another resource may have filled the shared window during the wait
+      for (
+        let waitMs = this.waitTimeFor(resource);
+        waitMs > 0;
+        waitMs = this.waitTimeFor(resource)
+      ) {
+        if (waitMs > this.maxWaitMs) {
+          throw this.rateLimitError(waitMs);
+        }
+        await sleep(waitMs);
+      }
+      this.sent.push(Date.now());
+    });
+
+    this.queues[resource] = slot.catch(() => {});
+    return slot;
+  }
+
+  isRateLimited(error) {
+    const { status, headers, data } = error.response || {};
+    if (status !== 403 && status !== 429) return false;
+
+    const header = AxiosHeaders.from(headers);
+    const message = typeof data === "string" ? data : data?.message || "";
+
+    return (
+      status === 429 ||
+      header.has("retry-after") ||
+      header.get("x-ratelimit-remaining") === "0" ||
+      /rate limit|abuse/i.test(message)
+    );
+  }
+
+  rateLimitDelay(error) {
+    const header = AxiosHeaders.from(error.response.headers);
+    const retryAfter = Number(header.get("retry-after"));
+    const reset = Number(header.get("x-ratelimit-reset"));
+
+    if (retryAfter) return retryAfter * 1000;
+    if (header.get("x-ratelimit-remaining") === "0" && reset) {
+      return Math.max(0, reset * 1000 - Date.now());
+    }
+    // Secondary limits without hints: GitHub asks to wait at least a minute
+    return 60 * 1000;
+  }
+
+  // Only idempotent calls are sent twice, and never one whose streamed body the
+  // first attempt already consumed
+  canRetry(config) {
+    return (
+      IDEMPOTENT_METHODS.includes(config.method) &&
+      typeof config.data?.pipe !== "function"
+    );
+  }
+
+  isTransient(error, config) {
+    if (!this.canRetry(config)) return false;
+    if (!error.response) return NETWORK_ERROR_CODES.includes(error.code);
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+
+  // Full jitter: a random delay up to the exponential cap
+  backoffDelay(attempt) {
+    const cap = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * cap);
+  }
+
+  async handle(config, adapter) {
+    if (!this.enabled) {
+      return adapter(config);
+    }
+
+    const resource = this.resourceFor(config);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(resource);
+
+      try {
+        const response = await adapter(config);
+        this.record(response.headers, resource);
+        return response;
+      } catch (error) {
+        if (error.response) {
+          this.record(error.response.headers, resource);
+        }
+
+        if (this.isRateLimited(error)) {
+          const waitMs = this.rateLimitDelay(error);
+          this.blockedUntil = Math.max(this.blockedUntil, Date.now() + waitMs);
+
+          if (
+            attempt >= this.retries ||
+            waitMs > this.maxWaitMs ||
+            !this.canRetry(config)
+          ) {
+            throw this.rateLimitError(waitMs);
+          }
+          continue;
+        }
+
+        if (attempt >= this.retries || !this.isTransient(error, config)) {
+          throw error;
+        }
+
+        await sleep(this.backoffDelay(attempt));
+      }
+    }
+  }
+}
+
+export default RequestScheduler;
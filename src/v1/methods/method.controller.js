@@ -1,15 +1,49 @@
-import actionsList from "../core/methods.list.js";
-import actionConfigs from "../core/methods.config.js";
-import GithubProvider from "../services/github/github.provider.js";
+import ActionRegistry from "../core/action.registry.js";
+import providersList from "../core/providers.list.js";
+import ConfigManager from "../core/ConfigManager.js";
+import ProviderRegistry from "../services/provider.registry.js";
+import { validateParams } from "../core/params.validator.js";
+import BinaryResult from "../core/binary.result.js";
 
-const providers = {
-  github: new GithubProvider(),
+const DEFAULT_PROVIDER = "github";
+
+const isActionSupported = (providerMeta, action) =>
+  ActionRegistry.isSupported(
+    action,
+    providerMeta,
+    ProviderRegistry.getProviderClass(providerMeta.name)
+  );
+
+export const getConnectionList = (req, res) => {
+  const { provider } = req.query;
+
+  res.json({
+    status: "success",
+    data: ConfigManager.getConnections(provider).map((connection) => ({
+      connectionId: connection.name,
+      provider: connection.provider,
+      title: connection.title,
+      description: connection.description,
+    })),
+  });
 };
 
 export const getMethodList = (req, res) => {
+  const { provider } = req.query;
+
+  const enabledProviders = providersList.filter((p) => p.isEnabled);
+  const methods = ActionRegistry.list()
+    .map((action) => ({
+      ...ActionRegistry.toListing(action),
+      providers: enabledProviders
+        .filter((p) => isActionSupported(p, action))
+        .map((p) => p.name),
+    }))
+    .filter((action) => !provider || action.providers.includes(provider));
+
   res.json({
     status: "success",
-    data: actionsList,
+    data: methods,
   });
 };
 
@@ -19,26 +53,14 @@ export const getMethodConfig = (req, res) => {
     // TODO: See if we need to implement different configs for each provider
     // TODO: or making the configs provider based
 
-    const method = actionsList.find((a) => a.actionName === actionName);
+    const method = ActionRegistry.get(actionName);
     if (!method) {
       throw new Error("");
     }
 
-    const configs = actionConfigs.methods.find(
-      (act) => act.name === actionName
-    );
-    if (!configs) {
-      return res.status(404).json({
-        status: "error",
-        message: "Configuration not found for this method",
-      });
-    }
-
     res.json({
       status: "success",
-      data: {
-        ...configs,
-      },
+      data: ActionRegistry.toConfig(method),
     });
   } catch (error) {
     res.status(404).json({
@@ -48,13 +70,33 @@ export const getMethodConfig = (req, res) => {
   }
 };
 
+// Upload actions take the file as the raw request body, their params then come
+// from the query string (?connectionId=...&repoName=...)
+const readUploadBody = (req) => {
+  const { connectionId, provider, ...query } = req.query;
+
+  return {
+    connectionId: connectionId,
+    provider: provider,
+    configs: {
+      params: Object.entries(query).map(([key, value]) => ({
+        key: key,
+        value: [].concat(value),
+      })),
+    },
+    upload: {
+      stream: req,
+      contentType: req.get("Content-Type"),
+      contentLength: Number(req.get("Content-Length")) || undefined,
+    },
+  };
+};
+
 export const executeMethod = async (req, res, next) => {
   try {
     const { actionName } = req.params;
 
-    const provider = "github";
-
-    const method = actionsList.find((a) => a.actionName === actionName);
+    const method = ActionRegistry.get(actionName);
     if (!method) {
       return res.status(404).json({
         status: "error",
@@ -62,22 +104,88 @@ export const executeMethod = async (req, res, next) => {
       });
     }
 
-    const providerInstance = providers[provider];
-    if (!providerInstance) {
+    if (method.upload && !req.is("application/json")) {
+      req.body = readUploadBody(req);
+    }
+    const { connectionId } = req.body || {};
+
+    // The route segment wins over the body so that the url is authoritative,
+    // and a connection implies its own provider when none is given
+    let connection;
+    try {
+      connection = ProviderRegistry.resolveConnection(
+        req.params.provider ||
+          req.body?.provider ||
+          (connectionId ? undefined : DEFAULT_PROVIDER),
+        connectionId
+      );
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({
+        status: "error",
+        message: error.message,
+      });
+    }
+
+    const provider = connection.provider;
+    const providerMeta = providersList.find((p) => p.name === provider);
+    if (!providerMeta || !ProviderRegistry.getProviderClass(provider)) {
       return res.status(400).json({
         status: "error",
         message: "Provider not supported",
       });
     }
 
-    // We always need to init() the providers to make sure everything is set-up
-    await providerInstance.init();
+    if (!providerMeta.isEnabled) {
+      return res.status(403).json({
+        status: "error",
+        message: `Provider ${providerMeta.title} is disabled`,
+      });
+    }
+
+    if (!isActionSupported(providerMeta, method)) {
+      return res.status(400).json({
+        status: "error",
+        message: `Method ${actionName} is not supported by ${providerMeta.title}`,
+      });
+    }
+
+    // Bad params are rejected here, before any provider call is made
+    const { params, errors } = validateParams(
+      method.params,
+      req.body?.configs?.params
+    );
+    if (Object.keys(errors).length) {
+      return res.status(400).json({
+        status: "error",
+        message: "Invalid parameters",
+        errors: errors,
+      });
+    }
+    req.body = { ...req.body, configs: { ...req.body?.configs, params } };
 
-    const result = await providerInstance.executeMethod(actionName, req.body);
+    // Instances are initialised once per connection and reused until its settings change
+    const providerInstance = await ProviderRegistry.getInstance(connection);
+
+    const context = {};
+    const result = await providerInstance.executeMethod(
+      actionName,
+      req.body,
+      context
+    );
+
+    if (result instanceof BinaryResult) {
+      return result.send(res);
+    }
 
     res.json({
       status: "success",
+      provider: provider,
+      connectionId: connection.name,
       data: result,
+      meta: {
+        rateLimit: context.rateLimit || null,
+        pagination: context.pagination || null,
+      },
     });
   } catch (error) {
     next(error);
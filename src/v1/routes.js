@@ -33,6 +33,9 @@ router.post("/version", async (req, res, next) => {
   }
 });
 
+// Named connections (one per init_config entry)
+router.get("/connections", actionController.getConnectionList);
+
 // Method routes
 router.get("/methods", actionController.getMethodList);
 
@@ -42,4 +45,7 @@ router.get("/methods/:actionName", actionController.getMethodConfig);
 // Post (request) Methods with Configs
 router.post("/methods/:actionName", actionController.executeMethod);
 
+// Post (request) Methods against a specific provider
+router.post("/methods/:provider/:actionName", actionController.executeMethod);
+
 export default router;
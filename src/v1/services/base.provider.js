@@ -1,20 +1,179 @@
+import ActionRegistry from "../core/action.registry.js";
+import AppError from "../core/errors/AppError.js";
+import { getContext, runWithContext } from "../core/request.context.js";
+
 export default class BaseProvider {
   constructor(config) {
     this.config = config;
   }
 
-  async executeMethod(actionName, params) {
-    const actionMethod = this[`action${this.camelCase(actionName)}`];
+  // `context` is filled while the action runs (e.g. rate limit quota) for the caller to report
+  async executeMethod(actionName, params, context = {}) {
+    const action = ActionRegistry.get(actionName);
+    const actionMethod = this[action?.handler];
     if (!actionMethod) {
       throw new Error(`Method ${actionName} not implemented`);
     }
-    return actionMethod.call(this, params);
+    return runWithContext(
+      Object.assign(context, {
+        actionName,
+        mutates: action?.mutates === true,
+        connectionId: this.connectionId,
+        bypassCache: params?.bypassCache === true,
+      }),
+      () => actionMethod.call(this, params)
+    );
+  }
+
+  // Actions may target another account or organization than the configured owner
+  resolveOwner(params = []) {
+    return (
+      params.find((par) => par.key === "owner")?.value[0]?.trim() || this.owner
+    );
+  }
+
+  // Reads one param, params arrive validated and coerced (see params.validator.js)
+  getParam(params = [], key, fallback) {
+    const value = params.find((par) => par.key === key)?.value?.[0];
+    return value === undefined || value === null || value === ""
+      ? fallback
+      : value;
+  }
+
+  // Reads a multi-value param, given either as several values or comma separated
+  getParamList(params = [], key) {
+    return (params.find((par) => par.key === key)?.value || [])
+      .flatMap((value) => String(value).split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+  }
+
+  // Reads a json param holding a list of objects, given as one array or several values
+  getParamItems(params = [], key) {
+    return (params.find((par) => par.key === key)?.value || [])
+      .flat()
+      .filter((item) => item && typeof item === "object");
+  }
+
+  // Errors the client gets as they are: bad input, and rate limits with their Retry-After
+  passesThrough(error) {
+    return (
+      error.response?.status === 400 || [400, 429].includes(error.statusCode)
+    );
+  }
+
+  // Error mapping shared by the actions: a missing resource is a 404, errors the
+  // caller can act on keep their status and the SCM's message, the rest is a 500
+  actionError(error, { notFound, failed, code }) {
+    if (error instanceof AppError) return error;
+
+    const status = error.response?.status;
+    const data = error.response?.data;
+    if (status === 404) {
+      return new AppError(notFound, 404, "RESOURCE_NOT_FOUND");
+    }
+    if ([400, 401, 403, 405, 409, 422].includes(status)) {
+      return new AppError(
+        data?.message || data?.error?.message || failed,
+        status,
+        code,
+        data?.errors
+      );
+    }
+    return new AppError(failed, 500, code);
   }
 
-  camelCase(str) {
-    return str
-      .split("-")
-      .map((word, index) => word.charAt(0).toUpperCase() + word.slice(1))
-      .join("");
+  // `page`/`perPage` select a single page, `maxItems` and `fetchAll` follow the next
+  // pages up to that many items (fetchAll stops at the configured hard limit)
+  pageOptions(params = [], defaults = {}) {
+    const value = (key) =>
+      params.find((par) => par.key === key)?.value[0] ?? defaults[key];
+    const { perPage, maxPerPage, maxItems } = this.config.pagination;
+    const fetchAll = value("fetchAll") === true || value("fetchAll") === "true";
+    const limit = Math.min(
+      Number(value("maxItems")) || (fetchAll ? maxItems : 0),
+      maxItems
+    );
+
+    return {
+      page: Math.max(1, Number(value("page")) || 1),
+      perPage: Math.min(
+        maxPerPage,
+        Math.max(1, Number(value("perPage")) || perPage)
+      ),
+      limit: limit,
+    };
+  }
+
+  // Collects a list page by page. `fetchPage(cursor, { page, perPage })` loads one
+  // page, with a null cursor for the first, and resolves to { items, next, total }
+  // where `next` is the cursor (url or page number) of the following page
+  async paginate(params, fetchPage, defaults = {}) {
+    const { page, perPage, limit } = this.pageOptions(params, defaults);
+    const items = [];
+    let cursor = null;
+    let lastPage = page;
+    let total = null;
+    let pagesFetched = 0;
+    let before = 0;
+
+    do {
+      const result = await fetchPage(cursor, { page, perPage });
+      before = items.length;
+      items.push(...result.items);
+      total = result.total ?? total;
+      lastPage = cursor ? this.pageOf(cursor) : page;
+      cursor = result.next || null;
+      pagesFetched++;
+    } while (limit && cursor && items.length < limit);
+
+    // Items cut off by maxItems are still on the last fetched page, so that page is
+    // next again and `nextPageSkip` counts its items already returned
+    const truncated = limit > 0 && items.length > limit;
+    getContext().pagination = {
+      page: page,
+      perPage: perPage,
+      pagesFetched: pagesFetched,
+      count: truncated ? limit : items.length,
+      total: total,
+      nextPage: truncated ? lastPage : cursor && this.pageOf(cursor),
+      nextPageSkip: truncated ? limit - before : 0,
+      hasMore: truncated || Boolean(cursor),
+    };
+
+    return truncated ? items.slice(0, limit) : items;
+  }
+
+  pageOf(cursor) {
+    if (typeof cursor === "number") return cursor;
+    return (
+      Number(new URL(cursor, "http://localhost").searchParams.get("page")) ||
+      null
+    );
+  }
+
+  // Parses a `Link` response header into its urls by relation (next, last...)
+  parseLinkHeader(header = "") {
+    const links = {};
+    for (const part of header.split(",")) {
+      const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+      if (match) links[match[2]] = match[1];
+    }
+    return links;
+  }
+
+  // Splits a raw multi-file git diff into per-file patches keyed by path
+  splitDiff(diff = "") {
+    const patches = {};
+    const sections = diff.split(/^(?=diff --git )/m);
+
+    for (const section of sections) {
+      const match = section.match(/^diff --git a\/(.+?) b\/(.+)$/m);
+      if (!match) continue;
+      patches[match[2]] = section;
+      patches[match[1]] = patches[match[1]] || section;
+    }
+
+    return patches;
   }
 }
@@ -0,0 +1,696 @@
+import axios from "axios";
+import ConfigManager from "../../core/ConfigManager.js";
+import BaseProvider from "../base.provider.js";
+import bitbucketConfig from "../../config/bitbucket.config.js";
+import AppError from "../../core/errors/AppError.js";
+
+const SORT_FIELDS = {
+  created: "-created_on",
+  updated: "-updated_on",
+  pushed: "-updated_on",
+  full_name: "full_name",
+};
+
+export default class BitbucketProvider extends BaseProvider {
+  constructor(connectionId = "bitbucket_config") {
+    super(bitbucketConfig);
+    this.connectionId = connectionId;
+    this.client = null;
+    this.owner = "";
+  }
+
+  async init() {
+    try {
+      const configs = ConfigManager.getConfig(this.connectionId);
+      const username =
+        configs?.params?.find((par) => par?.key === "username")?.value[0] || "";
+      const appPassword =
+        configs?.params?.find((par) => par?.key === "app_password")?.value[0] ||
+        "";
+      this.owner =
+        configs?.params?.find((par) => par?.key === "owner")?.value[0] || "";
+
+      if (!username || !appPassword) {
+        throw new AppError(
+          "Bitbucket username and app password not found in configurations",
+          401,
+          "AUTH_FAILED"
+        );
+      }
+
+      if (!this.owner) {
+        throw new AppError(
+          "Bitbucket owner (workspace) not found in configurations",
+          401,
+          "AUTH_FAILED"
+        );
+      }
+
+      await this.createClient(username, appPassword);
+    } catch (error) {
+      if (
+        error.statusCode === "401" ||
+        error.response?.status === 401 ||
+        error.statusCode === 401
+      ) {
+        throw error;
+      }
+      throw new AppError("Failed to initialize Bitbucket provider", 500);
+    }
+  }
+
+  async createClient(username, appPassword) {
+    try {
+      if (!username || !appPassword)
+        throw new AppError(
+          "Bitbucket authentication failed",
+          401,
+          "AUTH_FAILED"
+        );
+
+      // App passwords are only accepted through HTTP basic auth
+      this.client = axios.create({
+        baseURL: this.config.apiBaseUrl,
+        auth: {
+          username: username,
+          password: appPassword,
+        },
+        headers: {
+          Accept: "application/json",
+        },
+      });
+
+      const { data } = await this.client.get("/user");
+
+      return data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Bitbucket paginates in the payload: { values, next, size }
+  async fetchList(url, options, { params = {}, defaults } = {}) {
+    return this.paginate(
+      options,
+      async (next, { page, perPage }) => {
+        const { data } = next
+          ? await this.client.get(next)
+          : await this.client.get(url, {
+              params: { ...params, pagelen: perPage, page: page },
+            });
+
+        return {
+          items: data.values,
+          next: data.next,
+          total: data.size,
+        };
+      },
+      defaults
+    );
+  }
+
+  repoPath(owner, repoName) {
+    return `/repositories/${owner}/${repoName}`;
+  }
+
+  async defaultBranch(owner, repoName) {
+    const { data } = await this.client.get(this.repoPath(owner, repoName));
+    return data.mainbranch?.name;
+  }
+
+  async actionListRepos(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const visibility =
+        options?.find((par) => par.key === "visibility")?.value[0] || "all";
+      const sort =
+        options?.find((par) => par.key === "sort")?.value[0] || "updated";
+
+      const query = {
+        public: "is_private = false",
+        private: "is_private = true",
+      };
+
+      return await this.fetchList(`/repositories/${owner}`, options, {
+        params: {
+          q: query[visibility],
+          sort: SORT_FIELDS[sort] || "-updated_on",
+        },
+      });
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Resources not found", 404, "RESOURCE_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch repositories",
+        500,
+        "FETCH_REPOS_FAILED"
+      );
+    }
+  }
+
+  async actionGetRepo(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.get(this.repoPath(owner, repoName));
+
+      return data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Repository not found", 404, "REPOSITORY_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch repository",
+        500,
+        "FETCH_REPO_FAILED"
+      );
+    }
+  }
+
+  async actionListRepoContents(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const path =
+        options?.find((par) => par.key === "path")?.value[0]?.trim() || "";
+      const ref =
+        options?.find((par) => par.key === "ref")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // The src endpoint needs a commit or branch in the url itself
+      const commit = ref || (await this.defaultBranch(owner, repoName));
+
+      // Directory listings are paginated, every page is read so large directories come whole
+      return await this.fetchList(
+        `${this.repoPath(owner, repoName)}/src/${commit}/${path}`,
+        options,
+        { defaults: { fetchAll: true, perPage: 100 } }
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Repository path or reference not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch repository contents",
+        500,
+        "FETCH_CONTENTS_FAILED"
+      );
+    }
+  }
+
+  async actionGetRepoFileContent(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const path =
+        options?.find((par) => par.key === "path")?.value[0]?.trim() || "";
+      const ref =
+        options?.find((par) => par.key === "ref")?.value[0]?.trim() || "";
+
+      if (!repoName || !path) {
+        throw new AppError(
+          "Repository name and file path are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const commit = ref || (await this.defaultBranch(owner, repoName));
+      const filePath = `${this.repoPath(
+        owner,
+        repoName
+      )}/src/${commit}/${path}`;
+
+      const [{ data: meta }, { data: content }] = await Promise.all([
+        this.client.get(filePath, { params: { format: "meta" } }),
+        this.client.get(filePath, { responseType: "text" }),
+      ]);
+
+      if (meta.type !== "commit_file") {
+        throw new AppError(
+          "The given path is a directory, not a file",
+          400,
+          "INVALID_FILE_PATH"
+        );
+      }
+
+      return {
+        ...meta,
+        content,
+      };
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "File not found or inaccessible",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch file content",
+        500,
+        "FETCH_CONTENT_FAILED"
+      );
+    }
+  }
+
+  async actionListBranches(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      return await this.fetchList(
+        `${this.repoPath(owner, repoName)}/refs/branches`,
+        options
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Repository not found", 404, "REPOSITORY_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch branches",
+        500,
+        "FETCH_BRANCHES_FAILED"
+      );
+    }
+  }
+
+  async actionListBranchCommits(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const branch =
+        options?.find((par) => par.key === "branch")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      return await this.fetchList(
+        `${this.repoPath(owner, repoName)}/commits/${branch}`,
+        options
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Branch or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch commits",
+        500,
+        "FETCH_COMMITS_FAILED"
+      );
+    }
+  }
+
+  async actionListCommitModifications(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const commitSha =
+        options?.find((par) => par.key === "commitSha")?.value[0]?.trim() || "";
+      const includeContent =
+        options?.find((par) => par.key === "includeContent")?.value[0] || false;
+
+      if (!repoName || !commitSha) {
+        throw new AppError(
+          "Repository name and commit SHA are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // Large commits spread their diffstat over several pages, return them all by default
+      const diffstat = await this.fetchList(
+        `${this.repoPath(owner, repoName)}/diffstat/${commitSha}`,
+        options,
+        { defaults: { fetchAll: true } }
+      );
+
+      const files = diffstat.map((file) => this.mapDiffstat(file));
+
+      if (!includeContent) {
+        return files;
+      }
+
+      const { data: diff } = await this.client.get(
+        `${this.repoPath(owner, repoName)}/diff/${commitSha}`,
+        { responseType: "text" }
+      );
+      const patches = this.splitDiff(diff);
+
+      return files.map((file) => ({
+        ...file,
+        patch: patches[file.filename] || patches[file.previous_filename],
+      }));
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Commit or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch commit modifications",
+        500,
+        "FETCH_MODIFICATIONS_FAILED"
+      );
+    }
+  }
+
+  async actionGetCommitDetails(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const commitSha =
+        options?.find((par) => par.key === "commitSha")?.value[0]?.trim() || "";
+
+      if (!repoName || !commitSha) {
+        throw new AppError(
+          "Repository name and commit SHA are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // The diffstat of a large commit spans several pages
+      const [{ data }, diffstat] = await Promise.all([
+        this.client.get(
+          `${this.repoPath(owner, repoName)}/commit/${commitSha}`
+        ),
+        this.fetchList(
+          `${this.repoPath(owner, repoName)}/diffstat/${commitSha}`,
+          options,
+          { defaults: { fetchAll: true } }
+        ),
+      ]);
+
+      const files = diffstat.map((file) => this.mapDiffstat(file));
+
+      return {
+        sha: data.hash,
+        author: data.author?.user || null,
+        committer: null,
+        commit: {
+          message: data.message,
+          author: {
+            raw: data.author?.raw,
+            date: data.date,
+          },
+        },
+        stats: {
+          additions: files.reduce((sum, file) => sum + file.additions, 0),
+          deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+          total: files.reduce((sum, file) => sum + file.changes, 0),
+        },
+        files: files,
+        parents: data.parents.map((parent) => ({ sha: parent.hash })),
+        html_url: data.links?.html?.href,
+      };
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Commit or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch commit details",
+        500,
+        "FETCH_COMMIT_DETAILS_FAILED"
+      );
+    }
+  }
+
+  async actionCommitsDiff(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const baseCommit =
+        options?.find((par) => par.key === "baseCommit")?.value[0]?.trim() ||
+        "";
+      const headCommit =
+        options?.find((par) => par.key === "headCommit")?.value[0]?.trim() ||
+        "";
+      const filePath = options
+        ?.find((par) => par.key === "filePath")
+        ?.value[0]?.trim();
+
+      if (!repoName || !baseCommit || !headCommit) {
+        throw new AppError(
+          "Repository name, base commit and head commit are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // Bitbucket specs read "source..destination", i.e. head first
+      const spec = `${headCommit}..${baseCommit}`;
+      const params = {
+        path: filePath || undefined,
+      };
+
+      const [diffstat, { data: diff }] = await Promise.all([
+        this.fetchList(
+          `${this.repoPath(owner, repoName)}/diffstat/${spec}`,
+          options,
+          { params, defaults: { fetchAll: true } }
+        ),
+        this.client.get(`${this.repoPath(owner, repoName)}/diff/${spec}`, {
+          params,
+          responseType: "text",
+        }),
+      ]);
+
+      return {
+        base_commit: baseCommit,
+        head_commit: headCommit,
+        files: diffstat.map((file) => this.mapDiffstat(file)),
+        diff: diff,
+      };
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Repository or commits not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to compare commits",
+        500,
+        "COMPARE_COMMITS_FAILED"
+      );
+    }
+  }
+
+  async actionCommentPrs(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const prNumber =
+        options?.find((par) => par.key === "prNumber")?.value[0]?.trim() || "";
+      // Sent as given, leading whitespace and newlines can be Markdown
+      const comment = this.getParam(options, "comment", "");
+
+      if (!repoName || !prNumber || !comment.trim()) {
+        throw new AppError(
+          "Repository name, PR number and comment text are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.post(
+        `${this.repoPath(owner, repoName)}/pullrequests/${prNumber}/comments`,
+        { content: { raw: comment } }
+      );
+
+      return data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Pull request or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to create PR comment",
+        500,
+        "CREATE_COMMENT_FAILED"
+      );
+    }
+  }
+
+  async actionListPipelines(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      return await this.fetchList(
+        `${this.repoPath(owner, repoName)}/pipelines/`,
+        options,
+        {
+          params: {
+            sort: "-created_on",
+          },
+        }
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Repository not found", 404, "RESOURCE_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch pipelines",
+        500,
+        "FETCH_PIPELINES_FAILED"
+      );
+    }
+  }
+
+  async actionListDeployments(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      return await this.fetchList(
+        `${this.repoPath(owner, repoName)}/deployments/`,
+        options
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Repository not found", 404, "RESOURCE_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch deployments",
+        500,
+        "FETCH_DEPLOYMENTS_FAILED"
+      );
+    }
+  }
+
+  mapDiffstat(file) {
+    return {
+      filename: file.new?.path || file.old?.path,
+      previous_filename: file.status === "renamed" ? file.old?.path : undefined,
+      status: file.status,
+      additions: file.lines_added,
+      deletions: file.lines_removed,
+      changes: file.lines_added + file.lines_removed,
+    };
+  }
+}
@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import axios from "axios";
+import AppError from "../../core/errors/AppError.js";
+
+const base64url = (value) =>
+  Buffer.from(value)
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+
+export default class GithubAppAuth {
+  constructor({
+    appId,
+    privateKey,
+    installationId,
+    owner,
+    restUrl,
+    headers,
+    refreshMarginMs = 0,
+  }) {
+    this.appId = appId;
+    // Keys pasted into a single-line input usually arrive with escaped newlines
+    this.privateKey = privateKey.replace(/\\n/g, "\n");
+    this.installationId = installationId || null;
+    this.owner = owner;
+    this.refreshMarginMs = refreshMarginMs;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pending = null;
+
+    this.client = axios.create({
+      baseURL: restUrl,
+      headers,
+    });
+  }
+
+  createJwt() {
+    try {
+      // Backdate iat to absorb clock drift, GitHub caps the lifetime at 10 minutes
+      const now = Math.floor(Date.now() / 1000);
+      const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT" }));
+      const payload = base64url(
+        JSON.stringify({
+          iat: now - 60,
+          exp: now + 9 * 60,
+          iss: String(this.appId),
+        })
+      );
+
+      const signature = base64url(
+        crypto
+          .createSign("RSA-SHA256")
+          .update(`${header}.${payload}`)
+          .sign(this.privateKey)
+      );
+
+      return `${header}.${payload}.${signature}`;
+    } catch (error) {
+      throw new AppError("Invalid GitHub App private key", 401, "AUTH_FAILED");
+    }
+  }
+
+  async resolveInstallationId() {
+    if (this.installationId) return this.installationId;
+
+    const headers = { Authorization: `Bearer ${this.createJwt()}` };
+
+    // The owner may be an organization or a personal account
+    for (const path of [
+      `/orgs/${this.owner}/installation`,
+      `/users/${this.owner}/installation`,
+    ]) {
+      try {
+        const { data } = await this.client.get(path, { headers });
+        this.installationId = data.id;
+        return this.installationId;
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+
+    throw new AppError(
+      `GitHub App is not installed on ${this.owner}`,
+      401,
+      "AUTH_FAILED"
+    );
+  }
+
+  async getToken() {
+    if (this.token && Date.now() < this.expiresAt - this.refreshMarginMs) {
+      return this.token;
+    }
+
+    // Concurrent requests share a single exchange instead of minting several tokens
+    if (!this.pending) {
+      this.pending = this.refreshToken().finally(() => {
+        this.pending = null;
+      });
+    }
+
+    return this.pending;
+  }
+
+  async refreshToken() {
+    try {
+      const installationId = await this.resolveInstallationId();
+
+      const { data } = await this.client.post(
+        `/app/installations/${installationId}/access_tokens`,
+        {},
+        { headers: { Authorization: `Bearer ${this.createJwt()}` } }
+      );
+
+      this.token = data.token;
+      this.expiresAt = new Date(data.expires_at).getTime();
+
+      return this.token;
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      if (error.response?.status === 401 || error.response?.status === 404) {
+        throw new AppError(
+          "GitHub App authentication failed",
+          401,
+          "AUTH_FAILED"
+        );
+      }
+      throw error;
+    }
+  }
+
+  invalidate() {
+    this.token = null;
+    this.expiresAt = 0;
+  }
+
+  // Installs the token on every request and retries once with a fresh token on 401
+  attach(client) {
+    client.interceptors.request.use(async (config) => {
+      const token = await this.getToken();
+      config.headers.Authorization = `Bearer ${token}`;
+      return config;
+    });
+
+    client.interceptors.response.use(undefined, async (error) => {
+      const config = error.config;
+      if (error.response?.status !== 401 || !config || config._authRetried) {
+        throw error;
+      }
+
+      this.invalidate();
+      config._authRetried = true;
+      return client.request(config);
+    });
+
+    return client;
+  }
+}
@@ -0,0 +1,328 @@
+const branchUrl = (owner, repoName, branch) =>
+  `/repos/${owner}/${repoName}/branches/${encodeURIComponent(branch)}`;
+
+// The protection settings shared by classic branch protection and rulesets,
+// read from the params of set-branch-protection and set-ruleset
+const readProtection = (provider, options) => {
+  const get = (key, fallback) => provider.getParam(options, key, fallback);
+
+  return {
+    requirePullRequest: get("requirePullRequest", true),
+    requiredApprovals: get("requiredApprovals", 1),
+    dismissStaleReviews: get("dismissStaleReviews", false),
+    requireCodeOwnerReviews: get("requireCodeOwnerReviews", false),
+    requireConversationResolution: get("requireConversationResolution", false),
+    statusChecks: provider.getParamList(options, "statusChecks"),
+    strictStatusChecks: get("strictStatusChecks", false),
+    linearHistory: get("linearHistory", false),
+    allowForcePushes: get("allowForcePushes", false),
+    allowDeletions: get("allowDeletions", false),
+    enforceAdmins: get("enforceAdmins", false),
+  };
+};
+
+// GitHub replaces the whole protection on every call, unset parts are removed
+const toBranchProtection = (settings) => ({
+  required_status_checks: settings.statusChecks.length
+    ? {
+        strict: settings.strictStatusChecks,
+        checks: settings.statusChecks.map((context) => ({ context: context })),
+      }
+    : null,
+  enforce_admins: settings.enforceAdmins,
+  required_pull_request_reviews: settings.requirePullRequest
+    ? {
+        required_approving_review_count: settings.requiredApprovals,
+        dismiss_stale_reviews: settings.dismissStaleReviews,
+        require_code_owner_reviews: settings.requireCodeOwnerReviews,
+      }
+    : null,
+  restrictions: null,
+  required_linear_history: settings.linearHistory,
+  allow_force_pushes: settings.allowForcePushes,
+  allow_deletions: settings.allowDeletions,
+  required_conversation_resolution: settings.requireConversationResolution,
+});
+
+const toRulesetRules = (settings) => {
+  const rules = [];
+  if (settings.requirePullRequest) {
+    rules.push({
+      type: "pull_request",
+      parameters: {
+        required_approving_review_count: settings.requiredApprovals,
+        dismiss_stale_reviews_on_push: settings.dismissStaleReviews,
+        require_code_owner_review: settings.requireCodeOwnerReviews,
+        require_last_push_approval: false,
+        required_review_thread_resolution:
+          settings.requireConversationResolution,
+      },
+    });
+  }
+  if (settings.statusChecks.length) {
+    rules.push({
+      type: "required_status_checks",
+      parameters: {
+        strict_required_status_checks_policy: settings.strictStatusChecks,
+        required_status_checks: settings.statusChecks.map((context) => ({
+          context: context,
+        })),
+      },
+    });
+  }
+  if (settings.linearHistory) rules.push({ type: "required_linear_history" });
+  if (!settings.allowForcePushes) rules.push({ type: "non_fast_forward" });
+  if (!settings.allowDeletions) rules.push({ type: "deletion" });
+  return rules;
+};
+
+// Branch actions of GithubProvider
+export default {
+  async actionCreateBranch(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const branch = this.getParam(options, "branch");
+      const repoUrl = `/repos/${owner}/${repoName}`;
+
+      const from =
+        this.getParam(options, "fromRef") ||
+        (await this.client.get(repoUrl, { cache: false })).data.default_branch;
+
+      const { data } = await this.client.post(`${repoUrl}/git/refs`, {
+        ref: `refs/heads/${branch}`,
+        sha: await this.resolveSha(owner, repoName, from),
+      });
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository or source reference not found",
+        failed: "Failed to create branch",
+        code: "CREATE_BRANCH_FAILED",
+      });
+    }
+  },
+
+  async actionDeleteBranch(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const branch = this.getParam(options, "branch");
+
+      await this.client.delete(
+        `/repos/${owner}/${repoName}/git/refs/heads/${branch}`
+      );
+
+      return { deleted: true, branch: branch };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Branch or repository not found",
+        failed: "Failed to delete branch",
+        code: "DELETE_BRANCH_FAILED",
+      });
+    }
+  },
+
+  async actionRenameBranch(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const branch = this.getParam(options, "branch");
+
+      // GitHub moves the open pull requests and protection rules along
+      const { data } = await this.client.post(
+        `${branchUrl(owner, repoName, branch)}/rename`,
+        { new_name: this.getParam(options, "newName") }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Branch or repository not found",
+        failed: "Failed to rename branch",
+        code: "RENAME_BRANCH_FAILED",
+      });
+    }
+  },
+
+  async actionCompareBranch(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const branch = this.getParam(options, "branch");
+      const repoUrl = `/repos/${owner}/${repoName}`;
+
+      const base =
+        this.getParam(options, "base") ||
+        (await this.client.get(repoUrl, { cache: false })).data.default_branch;
+
+      // Only the counts are needed, a single commit per page keeps the payload small
+      const { data } = await this.client.get(
+        `${repoUrl}/compare/${base}...${branch}`,
+        { params: { per_page: 1 } }
+      );
+
+      return {
+        base: base,
+        branch: branch,
+        status: data.status,
+        aheadBy: data.ahead_by,
+        behindBy: data.behind_by,
+        mergeBaseSha: data.merge_base_commit?.sha,
+      };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Branch or repository not found",
+        failed: "Failed to compare branch",
+        code: "COMPARE_BRANCH_FAILED",
+      });
+    }
+  },
+
+  async actionGetBranchProtection(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const branch = this.getParam(options, "branch");
+
+      const { data } = await this.client.get(
+        `${branchUrl(owner, repoName, branch)}/protection`
+      );
+
+      return { protected: true, ...data };
+    } catch (error) {
+      // An unprotected branch is a 404 too, told apart by its message
+      if (
+        error.response?.status === 404 &&
+        /not protected/i.test(error.response.data?.message)
+      ) {
+        return { protected: false };
+      }
+      throw this.actionError(error, {
+        notFound: "Branch or repository not found",
+        failed: "Failed to fetch branch protection",
+        code: "FETCH_BRANCH_PROTECTION_FAILED",
+      });
+    }
+  },
+
+  async actionSetBranchProtection(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const branch = this.getParam(options, "branch");
+
+      const { data } = await this.client.put(
+        `${branchUrl(owner, repoName, branch)}/protection`,
+        toBranchProtection(readProtection(this, options))
+      );
+
+      return { protected: true, ...data };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Branch or repository not found",
+        failed: "Failed to set branch protection",
+        code: "SET_BRANCH_PROTECTION_FAILED",
+      });
+    }
+  },
+
+  async actionListRulesets(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/rulesets`,
+        options,
+        {
+          params: {
+            includes_parents: this.getParam(options, "includeParents", true),
+          },
+        }
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository not found",
+        failed: "Failed to fetch rulesets",
+        code: "FETCH_RULESETS_FAILED",
+      });
+    }
+  },
+
+  async actionGetRuleset(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const rulesetId = this.getParam(options, "rulesetId");
+
+      const { data } = await this.client.get(
+        `/repos/${owner}/${repoName}/rulesets/${rulesetId}`
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Ruleset or repository not found",
+        failed: "Failed to fetch ruleset",
+        code: "FETCH_RULESET_FAILED",
+      });
+    }
+  },
+
+  async actionSetRuleset(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const name = this.getParam(options, "name");
+      const branches = this.getParamList(options, "branches");
+      const url = `/repos/${owner}/${repoName}/rulesets`;
+
+      const ruleset = {
+        name: name,
+        target: "branch",
+        enforcement: this.getParam(options, "enforcement", "active"),
+        conditions: {
+          ref_name: {
+            // Plain branch names become full refs, patterns and ~DEFAULT_BRANCH are kept
+            include: (branches.length ? branches : ["~DEFAULT_BRANCH"]).map(
+              (branch) =>
+                branch.startsWith("~") || branch.startsWith("refs/")
+                  ? branch
+                  : `refs/heads/${branch}`
+            ),
+            exclude: [],
+          },
+        },
+        rules: toRulesetRules(readProtection(this, options)),
+      };
+
+      // Rulesets are matched by name, so applying the same settings twice is a no-op
+      const existing = (
+        await this.fetchAll(url, { params: { includes_parents: false } })
+      ).find((item) => item.name === name);
+
+      const { data } = existing
+        ? await this.client.put(`${url}/${existing.id}`, ruleset)
+        : await this.client.post(url, ruleset);
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository not found",
+        failed: "Failed to set ruleset",
+        code: "SET_RULESET_FAILED",
+      });
+    }
+  },
+};
@@ -0,0 +1,291 @@
+import AppError from "../../core/errors/AppError.js";
+
+// GitHub takes at most 50 annotations per check run request
+const ANNOTATIONS_PER_REQUEST = 50;
+const ANNOTATION_LEVELS = ["notice", "warning", "failure"];
+
+const chunk = (list, size) => {
+  const chunks = [];
+  for (let index = 0; index < list.length; index += size) {
+    chunks.push(list.slice(index, index + size));
+  }
+  return chunks;
+};
+
+// Turns { path, startLine, endLine, level, message, title, startColumn,
+// endColumn, rawDetails } into GitHub annotations, every invalid one is reported at once
+const toAnnotations = (items) => {
+  const errors = [];
+  const annotations = items.map((item, index) => {
+    const fail = (message) => {
+      errors.push({ index: index, path: item.path, message: message });
+      return null;
+    };
+    const startLine = Number(item.startLine);
+    const endLine = Number(item.endLine ?? item.startLine);
+    const level = item.level || "warning";
+
+    if (typeof item.path !== "string" || !item.path) {
+      return fail("path is required");
+    }
+    if (!Number.isInteger(startLine) || startLine < 1) {
+      return fail("startLine must be a positive integer");
+    }
+    if (!Number.isInteger(endLine) || endLine < startLine) {
+      return fail("endLine must be an integer not lower than startLine");
+    }
+    if (!ANNOTATION_LEVELS.includes(level)) {
+      return fail(`level must be one of ${ANNOTATION_LEVELS.join(", ")}`);
+    }
+    if (!item.message) return fail("message is required");
+
+    // Columns only apply to annotations on a single line
+    const columns = startLine === endLine && item.startColumn !== undefined;
+    return {
+      path: item.path,
+      start_line: startLine,
+      end_line: endLine,
+      start_column: columns ? Number(item.startColumn) : undefined,
+      end_column: columns
+        ? Number(item.endColumn ?? item.startColumn)
+        : undefined,
+      annotation_level: level,
+      message: String(item.message),
+      title: item.title,
+      raw_details: item.rawDetails,
+    };
+  });
+
+  if (errors.length) {
+    throw new AppError(
+      `${errors.length} annotation(s) are invalid`,
+      400,
+      "INVALID_ANNOTATIONS",
+      errors
+    );
+  }
+  return annotations;
+};
+
+// Commit status and check run actions of GithubProvider
+export default {
+  async actionCreateCommitStatus(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const sha = await this.resolveSha(
+        owner,
+        repoName,
+        this.getParam(options, "ref")
+      );
+
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/statuses/${sha}`,
+        {
+          state: this.getParam(options, "state"),
+          context: this.getParam(options, "context", "default"),
+          description: this.getParam(options, "description"),
+          target_url: this.getParam(options, "targetUrl"),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Commit or repository not found",
+        failed: "Failed to create commit status",
+        code: "CREATE_COMMIT_STATUS_FAILED",
+      });
+    }
+  },
+
+  async actionListCommitStatuses(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const ref = this.getParam(options, "ref");
+
+      // Every status ever posted is listed, newest first
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/commits/${encodeURIComponent(
+          ref
+        )}/statuses`,
+        options
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Commit or repository not found",
+        failed: "Failed to fetch commit statuses",
+        code: "FETCH_COMMIT_STATUSES_FAILED",
+      });
+    }
+  },
+
+  async actionGetCombinedStatus(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const ref = this.getParam(options, "ref");
+
+      // Only the latest status of each context counts towards the combined state
+      const { data } = await this.client.get(
+        `/repos/${owner}/${repoName}/commits/${encodeURIComponent(ref)}/status`,
+        { params: { per_page: this.config.pagination.maxPerPage } }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Commit or repository not found",
+        failed: "Failed to fetch combined status",
+        code: "FETCH_COMBINED_STATUS_FAILED",
+      });
+    }
+  },
+
+  async actionCreateCheckRun(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const name = this.getParam(options, "name");
+      const status = this.getParam(options, "status", "completed");
+      const conclusion = this.getParam(options, "conclusion");
+      const annotations = toAnnotations(
+        this.getParamItems(options, "annotations")
+      );
+
+      if (status === "completed" && !conclusion) {
+        throw new AppError(
+          "A conclusion is required to complete a check run",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const output = {
+        title: this.getParam(options, "title", name),
+        summary: this.getParam(
+          options,
+          "summary",
+          `${annotations.length} annotation(s)`
+        ),
+        text: this.getParam(options, "text"),
+      };
+      const batches = chunk(annotations, ANNOTATIONS_PER_REQUEST);
+      const url = `/repos/${owner}/${repoName}/check-runs`;
+
+      // The run stays in progress while the annotations are sent in batches,
+      // the requested status is only set with the last one
+      const final = {
+        status: status,
+        conclusion: status === "completed" ? conclusion : undefined,
+      };
+      const { data: created } = await this.client.post(url, {
+        name: name,
+        head_sha: await this.resolveSha(
+          owner,
+          repoName,
+          this.getParam(options, "ref")
+        ),
+        details_url: this.getParam(options, "detailsUrl"),
+        external_id: this.getParam(options, "externalId"),
+        ...(batches.length > 1 ? { status: "in_progress" } : final),
+        output: { ...output, annotations: batches[0] },
+      });
+
+      let run = created;
+      for (const [index, batch] of batches.slice(1).entries()) {
+        const last = index === batches.length - 2;
+        ({ data: run } = await this.client.patch(`${url}/${created.id}`, {
+          ...(last ? final : {}),
+          output: { ...output, annotations: batch },
+        }));
+      }
+
+      return { ...run, annotations_sent: annotations.length };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Commit or repository not found",
+        failed: "Failed to create check run",
+        code: "CREATE_CHECK_RUN_FAILED",
+      });
+    }
+  },
+
+  async actionUpdateCheckRun(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const status = this.getParam(options, "status");
+      const conclusion = this.getParam(options, "conclusion");
+      const annotations = toAnnotations(
+        this.getParamItems(options, "annotations")
+      );
+      const url = `/repos/${owner}/${repoName}/check-runs/${this.getParam(
+        options,
+        "checkRunId"
+      )}`;
+
+      let title = this.getParam(options, "title");
+      let summary = this.getParam(options, "summary");
+      const text = this.getParam(options, "text");
+      const hasOutput = title || summary || text || annotations.length;
+
+      // GitHub needs a title and a summary with any output, missing ones are kept as they are
+      if (hasOutput && (!title || !summary)) {
+        const { data: current } = await this.client.get(url, { cache: false });
+        title = title || current.output?.title || current.name;
+        summary =
+          summary ||
+          current.output?.summary ||
+          `${annotations.length} annotation(s)`;
+      }
+
+      const output = hasOutput
+        ? { title: title, summary: summary, text: text }
+        : undefined;
+      const final = {
+        status: status,
+        // A conclusion alone completes the run
+        conclusion: conclusion,
+        details_url: this.getParam(options, "detailsUrl"),
+      };
+
+      if (
+        !output &&
+        Object.values(final).every((value) => value === undefined)
+      ) {
+        throw new AppError(
+          "Nothing to update, give at least one field to change",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const batches = chunk(annotations, ANNOTATIONS_PER_REQUEST);
+      if (!batches.length) batches.push(undefined);
+
+      // Annotations are appended to the run, the state changes with the last batch
+      let run;
+      for (const [index, batch] of batches.entries()) {
+        ({ data: run } = await this.client.patch(url, {
+          ...(index === batches.length - 1 ? final : {}),
+          output: output && { ...output, annotations: batch },
+        }));
+      }
+
+      return { ...run, annotations_sent: annotations.length };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Check run or repository not found",
+        failed: "Failed to update check run",
+        code: "UPDATE_CHECK_RUN_FAILED",
+      });
+    }
+  },
+};
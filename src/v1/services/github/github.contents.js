@@ -0,0 +1,285 @@
+import AppError from "../../core/errors/AppError.js";
+
+const FILE_MODES = ["100644", "100755", "120000"];
+const ENCODINGS = ["utf-8", "base64"];
+
+const contentsUrl = (owner, repoName, path) =>
+  `/repos/${owner}/${repoName}/contents/${path
+    .split("/")
+    .map(encodeURIComponent)
+    .join("/")}`;
+
+const toBase64 = (content, encoding) =>
+  encoding === "base64" ? content : Buffer.from(content).toString("base64");
+
+// Checks { path, content, encoding, mode } or { path, delete: true } entries of
+// a multi-file commit, every invalid entry is reported at once
+const checkChanges = (changes) => {
+  const errors = [];
+  const paths = new Set();
+
+  changes.forEach((change, index) => {
+    const fail = (message) =>
+      errors.push({ index: index, path: change.path, message: message });
+    const { path, content, encoding = "utf-8", mode = "100644" } = change;
+
+    if (typeof path !== "string" || !path || /^\/|\/$/.test(path)) {
+      return fail("path must be a relative file path");
+    }
+    if (paths.has(path)) return fail(`${path} is changed twice`);
+    paths.add(path);
+
+    if (change.delete === true) {
+      if (content !== undefined) fail("a deleted file can't have content");
+      return;
+    }
+    if (typeof content !== "string") {
+      return fail("content must be a string, or delete must be true");
+    }
+    if (!ENCODINGS.includes(encoding)) {
+      fail(`encoding must be one of ${ENCODINGS.join(", ")}`);
+    }
+    if (!FILE_MODES.includes(String(mode))) {
+      fail(`mode must be one of ${FILE_MODES.join(", ")}`);
+    }
+  });
+
+  if (errors.length) {
+    throw new AppError(
+      `${errors.length} file change(s) are invalid`,
+      400,
+      "INVALID_FILE_CHANGES",
+      errors
+    );
+  }
+};
+
+// Current blob SHA of a file, the contents API needs it to change the file
+const fileSha = async (client, url, branch) => {
+  const { data } = await client.get(url, {
+    params: { ref: branch },
+    cache: false,
+  });
+  if (Array.isArray(data) || data.type !== "file") {
+    throw new AppError("The path is not a file", 400, "INVALID_FILE_PATH");
+  }
+  return data.sha;
+};
+
+// File writing actions of GithubProvider
+export default {
+  async actionCreateFile(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const path = this.getParam(options, "path");
+      const encoding = this.getParam(options, "encoding", "utf-8");
+
+      // Without a SHA GitHub only creates, an existing file is a 422
+      const { data } = await this.client.put(
+        contentsUrl(owner, repoName, path),
+        {
+          message: this.getParam(options, "message", `Create ${path}`),
+          content: toBase64(this.getParam(options, "content", ""), encoding),
+          branch: this.getParam(options, "branch"),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository or branch not found",
+        failed: "Failed to create file",
+        code: "CREATE_FILE_FAILED",
+      });
+    }
+  },
+
+  async actionUpdateFile(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const path = this.getParam(options, "path");
+      const branch = this.getParam(options, "branch");
+      const encoding = this.getParam(options, "encoding", "utf-8");
+
+      // An expected SHA guards against overwriting someone else's change (409)
+      const sha =
+        this.getParam(options, "sha") ||
+        (await fileSha(
+          this.client,
+          contentsUrl(owner, repoName, path),
+          branch
+        ));
+
+      const { data } = await this.client.put(
+        contentsUrl(owner, repoName, path),
+        {
+          message: this.getParam(options, "message", `Update ${path}`),
+          content: toBase64(this.getParam(options, "content", ""), encoding),
+          sha: sha,
+          branch: branch,
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "File, repository or branch not found",
+        failed: "Failed to update file",
+        code: "UPDATE_FILE_FAILED",
+      });
+    }
+  },
+
+  async actionDeleteFile(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const path = this.getParam(options, "path");
+      const branch = this.getParam(options, "branch");
+
+      const sha =
+        this.getParam(options, "sha") ||
+        (await fileSha(
+          this.client,
+          contentsUrl(owner, repoName, path),
+          branch
+        ));
+
+      const { data } = await this.client.delete(
+        contentsUrl(owner, repoName, path),
+        {
+          data: {
+            message: this.getParam(options, "message", `Delete ${path}`),
+            sha: sha,
+            branch: branch,
+          },
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "File, repository or branch not found",
+        failed: "Failed to delete file",
+        code: "DELETE_FILE_FAILED",
+      });
+    }
+  },
+
+  async actionCreateCommit(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const changes = this.getParamItems(options, "changes");
+      const expectedParentSha = this.getParam(options, "expectedParentSha");
+
+      if (!changes.length) {
+        throw new AppError(
+          "At least one file change is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+      checkChanges(changes);
+
+      const repoUrl = `/repos/${owner}/${repoName}`;
+      const branch =
+        this.getParam(options, "branch") ||
+        (await this.client.get(repoUrl, { cache: false })).data.default_branch;
+      const refUrl = `${repoUrl}/git/refs/heads/${branch}`;
+
+      // The ref is read fresh, a cached head would defeat the concurrency check
+      const { data: ref } = await this.client.get(
+        `${repoUrl}/git/ref/heads/${branch}`,
+        { cache: false }
+      );
+      const parentSha = ref.object.sha;
+      if (expectedParentSha && expectedParentSha !== parentSha) {
+        throw new AppError(
+          `${branch} moved to ${parentSha}, expected ${expectedParentSha}`,
+          409,
+          "PARENT_SHA_MISMATCH",
+          { branch: branch, headSha: parentSha }
+        );
+      }
+
+      const { data: parent } = await this.client.get(
+        `${repoUrl}/git/commits/${parentSha}`
+      );
+
+      // Blobs first, the tree only references them; a null SHA deletes the path
+      const entries = [];
+      for (const change of changes) {
+        if (change.delete === true) {
+          entries.push({
+            path: change.path,
+            mode: "100644",
+            type: "blob",
+            sha: null,
+          });
+          continue;
+        }
+        const { data: blob } = await this.client.post(`${repoUrl}/git/blobs`, {
+          content: change.content,
+          encoding: change.encoding || "utf-8",
+        });
+        entries.push({
+          path: change.path,
+          mode: String(change.mode || "100644"),
+          type: "blob",
+          sha: blob.sha,
+        });
+      }
+
+      const { data: tree } = await this.client.post(`${repoUrl}/git/trees`, {
+        base_tree: parent.tree.sha,
+        tree: entries,
+      });
+      const { data: commit } = await this.client.post(
+        `${repoUrl}/git/commits`,
+        {
+          message: this.getParam(options, "message"),
+          tree: tree.sha,
+          parents: [parentSha],
+        }
+      );
+
+      // Not forced: if the branch moved meanwhile GitHub refuses the update
+      try {
+        await this.client.patch(refUrl, { sha: commit.sha, force: false });
+      } catch (error) {
+        if (error.response?.status === 422) {
+          throw new AppError(
+            `${branch} moved while the commit was created, nothing was pushed`,
+            409,
+            "PARENT_SHA_MISMATCH",
+            { branch: branch, commitSha: commit.sha }
+          );
+        }
+        throw error;
+      }
+
+      return {
+        branch: branch,
+        parentSha: parentSha,
+        commit: commit,
+        files: changes.map((change) => ({
+          path: change.path,
+          status: change.delete === true ? "deleted" : "written",
+        })),
+      };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository or branch not found",
+        failed: "Failed to create commit",
+        code: "CREATE_COMMIT_FAILED",
+      });
+    }
+  },
+};
@@ -0,0 +1,154 @@
+import AppError from "../../core/errors/AppError.js";
+
+// Deployment and environment actions of GithubProvider
+export default {
+  async actionCreateDeployment(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const requiredContexts = this.getParamList(options, "requiredContexts");
+
+      const response = await this.client.post(
+        `/repos/${owner}/${repoName}/deployments`,
+        {
+          ref: this.getParam(options, "ref"),
+          environment: this.getParam(options, "environment", "production"),
+          description: this.getParam(options, "description"),
+          payload: this.getParam(options, "payload"),
+          auto_merge: this.getParam(options, "autoMerge", false),
+          // Without a list GitHub waits for every status check of the ref to pass
+          required_contexts: this.getParam(options, "skipChecks", false)
+            ? []
+            : requiredContexts.length
+            ? requiredContexts
+            : undefined,
+          transient_environment: this.getParam(options, "transientEnvironment"),
+          production_environment: this.getParam(
+            options,
+            "productionEnvironment"
+          ),
+        }
+      );
+
+      // A 202 means GitHub merged the default branch into the ref instead of deploying
+      if (response.status === 202) {
+        throw new AppError(
+          response.data?.message ||
+            "The default branch was merged into the ref, deploy the new head",
+          409,
+          "DEPLOYMENT_REF_MERGED"
+        );
+      }
+
+      return response.data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository or ref not found",
+        failed: "Failed to create deployment",
+        code: "CREATE_DEPLOYMENT_FAILED",
+      });
+    }
+  },
+
+  async actionCreateDeploymentStatus(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const deploymentId = this.getParam(options, "deploymentId");
+
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/deployments/${deploymentId}/statuses`,
+        {
+          state: this.getParam(options, "state"),
+          description: this.getParam(options, "description"),
+          log_url: this.getParam(options, "logUrl"),
+          environment_url: this.getParam(options, "environmentUrl"),
+          environment: this.getParam(options, "environment"),
+          // A success marks the previous deployments of the environment inactive
+          auto_inactive: this.getParam(options, "autoInactive", true),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Deployment or repository not found",
+        failed: "Failed to create deployment status",
+        code: "CREATE_DEPLOYMENT_STATUS_FAILED",
+      });
+    }
+  },
+
+  async actionListDeploymentStatuses(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const deploymentId = this.getParam(options, "deploymentId");
+
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/deployments/${deploymentId}/statuses`,
+        options
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Deployment or repository not found",
+        failed: "Failed to fetch deployment statuses",
+        code: "FETCH_DEPLOYMENT_STATUSES_FAILED",
+      });
+    }
+  },
+
+  async actionListEnvironments(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+
+      // Each environment carries its protection rules
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/environments`,
+        options,
+        { select: (data) => data.environments }
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository not found",
+        failed: "Failed to fetch environments",
+        code: "FETCH_ENVIRONMENTS_FAILED",
+      });
+    }
+  },
+
+  async actionGetEnvironment(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const environment = this.getParam(options, "environment");
+
+      const url = `/repos/${owner}/${repoName}/environments/${encodeURIComponent(
+        environment
+      )}`;
+      const { data } = await this.client.get(url);
+
+      // Custom branch policies are only listed by their own endpoint
+      const branchPolicies = data.deployment_branch_policy
+        ?.custom_branch_policies
+        ? await this.fetchAll(`${url}/deployment-branch-policies`, {
+            select: (page) => page.branch_policies,
+          })
+        : [];
+
+      return { ...data, branch_policies: branchPolicies };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Environment or repository not found",
+        failed: "Failed to fetch environment",
+        code: "FETCH_ENVIRONMENT_FAILED",
+      });
+    }
+  },
+};
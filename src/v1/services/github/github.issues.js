@@ -0,0 +1,461 @@
+import AppError from "../../core/errors/AppError.js";
+
+// "none" clears the milestone of an issue
+const milestoneValue = (milestone) =>
+  milestone === "none" ? null : milestone && Number(milestone);
+
+// ISO 8601 timestamp of a date param, out of range dates such as 2024-02-30 are refused
+const toTimestamp = (value, title) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  const [year, month, day] = String(value).slice(0, 10).split("-").map(Number);
+  const calendar = new Date(Date.UTC(year, month - 1, day));
+
+  if (
+    Number.isNaN(date.getTime()) ||
+    calendar.getUTCMonth() !== month - 1 ||
+    calendar.getUTCDate() !== day
+  ) {
+    throw new AppError(`${title} is not a valid date`, 400, "INVALID_DATE");
+  }
+  return date.toISOString();
+};
+
+// Issue actions of GithubProvider
+export default {
+  async actionListIssues(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const state = this.getParam(options, "state", "open");
+      const labels = this.getParamList(options, "labels");
+      const assignee = this.getParam(options, "assignee");
+      const creator = this.getParam(options, "creator");
+      const milestone = this.getParam(options, "milestone");
+      const search = this.getParam(options, "search");
+      const sort = this.getParam(options, "sort", "created");
+      const direction = this.getParam(options, "direction", "desc");
+
+      // Free text is only matched by the search API
+      if (search) {
+        const query = [search, `repo:${owner}/${repoName}`, "is:issue"];
+        if (state !== "all") query.push(`is:${state}`);
+        labels.forEach((label) => query.push(`label:"${label}"`));
+        if (assignee) query.push(`assignee:${assignee}`);
+        if (creator) query.push(`author:${creator}`);
+        if (milestone === "none") {
+          query.push("no:milestone");
+        } else if (milestone && milestone !== "*") {
+          // Search matches milestones by title, not number
+          const { data } = await this.client.get(
+            `/repos/${owner}/${repoName}/milestones/${milestone}`
+          );
+          query.push(`milestone:"${data.title}"`);
+        }
+
+        return await this.fetchList("/search/issues", options, {
+          params: { q: query.join(" "), sort: sort, order: direction },
+          select: (data) => data.items,
+        });
+      }
+
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/issues`,
+        options,
+        {
+          params: {
+            state: state,
+            labels: labels.join(",") || undefined,
+            assignee: assignee,
+            creator: creator,
+            milestone: milestone,
+            sort: sort,
+            direction: direction,
+          },
+          // The issues endpoint lists pull requests too
+          select: (data) => data.filter((issue) => !issue.pull_request),
+        }
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository or milestone not found",
+        failed: "Failed to fetch issues",
+        code: "FETCH_ISSUES_FAILED",
+      });
+    }
+  },
+
+  async actionGetIssue(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const issueNumber = this.getParam(options, "issueNumber");
+
+      const { data } = await this.client.get(
+        `/repos/${owner}/${repoName}/issues/${issueNumber}`
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Issue or repository not found",
+        failed: "Failed to fetch issue",
+        code: "FETCH_ISSUE_FAILED",
+      });
+    }
+  },
+
+  async actionCreateIssue(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const labels = this.getParamList(options, "labels");
+      const assignees = this.getParamList(options, "assignees");
+
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/issues`,
+        {
+          title: this.getParam(options, "title"),
+          body: this.getParam(options, "body"),
+          labels: labels.length ? labels : undefined,
+          assignees: assignees.length ? assignees : undefined,
+          milestone: milestoneValue(this.getParam(options, "milestone")),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository not found",
+        failed: "Failed to create issue",
+        code: "CREATE_ISSUE_FAILED",
+      });
+    }
+  },
+
+  async actionUpdateIssue(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const issueNumber = this.getParam(options, "issueNumber");
+      const labels = this.getParamList(options, "labels");
+      const assignees = this.getParamList(options, "assignees");
+      const state = this.getParam(options, "state");
+
+      // Only the given fields are changed, labels and assignees are replaced
+      const changes = {
+        title: this.getParam(options, "title"),
+        body: this.getParam(options, "body"),
+        state: state,
+        state_reason:
+          state === "closed"
+            ? this.getParam(options, "stateReason")
+            : undefined,
+        labels: labels.length ? labels : undefined,
+        assignees: assignees.length ? assignees : undefined,
+        milestone: milestoneValue(this.getParam(options, "milestone")),
+      };
+
+      if (Object.values(changes).every((value) => value === undefined)) {
+        throw new AppError(
+          "Nothing to update, give at least one field to change",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.patch(
+        `/repos/${owner}/${repoName}/issues/${issueNumber}`,
+        changes
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Issue or repository not found",
+        failed: "Failed to update issue",
+        code: "UPDATE_ISSUE_FAILED",
+      });
+    }
+  },
+
+  async actionCloseIssue(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const issueNumber = this.getParam(options, "issueNumber");
+
+      const { data } = await this.client.patch(
+        `/repos/${owner}/${repoName}/issues/${issueNumber}`,
+        {
+          state: "closed",
+          state_reason: this.getParam(options, "stateReason", "completed"),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Issue or repository not found",
+        failed: "Failed to close issue",
+        code: "CLOSE_ISSUE_FAILED",
+      });
+    }
+  },
+
+  async actionReopenIssue(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const issueNumber = this.getParam(options, "issueNumber");
+
+      const { data } = await this.client.patch(
+        `/repos/${owner}/${repoName}/issues/${issueNumber}`,
+        { state: "open" }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Issue or repository not found",
+        failed: "Failed to reopen issue",
+        code: "REOPEN_ISSUE_FAILED",
+      });
+    }
+  },
+
+  async actionAddIssueLabels(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const issueNumber = this.getParam(options, "issueNumber");
+      const labels = this.getParamList(options, "labels");
+
+      if (!labels.length) {
+        throw new AppError(
+          "At least one label is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/issues/${issueNumber}/labels`,
+        { labels: labels }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Issue or repository not found",
+        failed: "Failed to add labels",
+        code: "ADD_LABELS_FAILED",
+      });
+    }
+  },
+
+  async actionRemoveIssueLabels(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const issueNumber = this.getParam(options, "issueNumber");
+      const labels = this.getParamList(options, "labels");
+
+      if (!labels.length) {
+        throw new AppError(
+          "At least one label is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // GitHub removes one label per call, a label the issue doesn't have is skipped
+      const url = `/repos/${owner}/${repoName}/issues/${issueNumber}/labels`;
+      let remaining;
+      for (const label of labels) {
+        try {
+          ({ data: remaining } = await this.client.delete(
+            `${url}/${encodeURIComponent(label)}`
+          ));
+        } catch (error) {
+          if (error.response?.status !== 404) throw error;
+        }
+      }
+
+      return remaining ?? (await this.client.get(url)).data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Issue or repository not found",
+        failed: "Failed to remove labels",
+        code: "REMOVE_LABELS_FAILED",
+      });
+    }
+  },
+
+  async actionAddIssueAssignees(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const issueNumber = this.getParam(options, "issueNumber");
+      const assignees = this.getParamList(options, "assignees");
+
+      if (!assignees.length) {
+        throw new AppError(
+          "At least one assignee is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/issues/${issueNumber}/assignees`,
+        { assignees: assignees }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Issue or repository not found",
+        failed: "Failed to add assignees",
+        code: "ADD_ASSIGNEES_FAILED",
+      });
+    }
+  },
+
+  async actionRemoveIssueAssignees(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const issueNumber = this.getParam(options, "issueNumber");
+      const assignees = this.getParamList(options, "assignees");
+
+      if (!assignees.length) {
+        throw new AppError(
+          "At least one assignee is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.delete(
+        `/repos/${owner}/${repoName}/issues/${issueNumber}/assignees`,
+        { data: { assignees: assignees } }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Issue or repository not found",
+        failed: "Failed to remove assignees",
+        code: "REMOVE_ASSIGNEES_FAILED",
+      });
+    }
+  },
+
+  async actionListMilestones(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/milestones`,
+        options,
+        {
+          params: {
+            state: this.getParam(options, "state", "open"),
+            sort: "due_on",
+            direction: "asc",
+          },
+        }
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository not found",
+        failed: "Failed to fetch milestones",
+        code: "FETCH_MILESTONES_FAILED",
+      });
+    }
+  },
+
+  async actionCreateMilestone(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const dueOn = this.getParam(options, "dueOn");
+
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/milestones`,
+        {
+          title: this.getParam(options, "title"),
+          description: this.getParam(options, "description"),
+          // GitHub expects a timestamp, a plain date is due at the start of that day
+          due_on: toTimestamp(dueOn, "Due Date"),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository not found",
+        failed: "Failed to create milestone",
+        code: "CREATE_MILESTONE_FAILED",
+      });
+    }
+  },
+
+  async actionListIssueComments(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const issueNumber = this.getParam(options, "issueNumber");
+      const since = this.getParam(options, "since");
+
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/issues/${issueNumber}/comments`,
+        options,
+        { params: { since: toTimestamp(since, "Since") } }
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Issue or repository not found",
+        failed: "Failed to fetch issue comments",
+        code: "FETCH_ISSUE_COMMENTS_FAILED",
+      });
+    }
+  },
+
+  async actionCreateIssueComment(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const issueNumber = this.getParam(options, "issueNumber");
+
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/issues/${issueNumber}/comments`,
+        { body: this.getParam(options, "body") }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Issue or repository not found",
+        failed: "Failed to create issue comment",
+        code: "CREATE_ISSUE_COMMENT_FAILED",
+      });
+    }
+  },
+};
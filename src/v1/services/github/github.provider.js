@@ -3,23 +3,73 @@ import ConfigManager from "../../core/ConfigManager.js";
 import BaseProvider from "../base.provider.js";
 import githubConfig from "../../config/github.config.js";
 import AppError from "../../core/errors/AppError.js";
+import GithubAppAuth from "./github.app.auth.js";
+import { createCache } from "../../cache/cache.factory.js";
+import HttpCache from "../../cache/http.cache.js";
+import RequestScheduler from "../../core/request.scheduler.js";
+import pullActions from "./github.pulls.js";
+import issueActions from "./github.issues.js";
+import workflowActions from "./github.workflows.js";
+import deploymentActions from "./github.deployments.js";
+import contentActions from "./github.contents.js";
+import branchActions from "./github.branches.js";
+import releaseActions from "./github.releases.js";
+import checkActions from "./github.checks.js";
+import searchActions from "./github.search.js";
+import treeActions from "./github.trees.js";
 
 export default class GithubProvider extends BaseProvider {
-  constructor() {
+  constructor(connectionId = "github_config") {
     super(githubConfig);
+    this.connectionId = connectionId;
     this.client = null;
+    this.appAuth = null;
     this.owner = "";
+    this.login = null;
+    this.endpoints = null;
+    this.serverVersion = null;
+    // Shared by every client of this connection, GitHub counts quota per token
+    this.scheduler = new RequestScheduler(this.config.rateLimit);
+    this.httpCache = this.config.cache.enabled
+      ? new HttpCache({
+          ...this.config.cache,
+          store: createCache(this.config.storage, "github", connectionId),
+        })
+      : null;
   }
 
   async init() {
     try {
-      const configs = ConfigManager.getConfig("github_config");
+      const configs = ConfigManager.getConfig(this.connectionId);
       const token =
         configs?.params?.find((par) => par?.key === "token")?.value[0] || "";
       this.owner =
         configs?.params?.find((par) => par?.key === "owner")?.value[0] || "";
+      const baseUrl =
+        configs?.params?.find((par) => par?.key === "base_url")?.value[0] || "";
+      const authType =
+        configs?.params?.find((par) => par?.key === "auth_type")?.value[0] ||
+        "token";
+      const app = {
+        appId:
+          configs?.params?.find((par) => par?.key === "app_id")?.value[0] || "",
+        privateKey:
+          configs?.params?.find((par) => par?.key === "private_key")
+            ?.value[0] || "",
+        installationId:
+          configs?.params?.find((par) => par?.key === "installation_id")
+            ?.value[0] || "",
+      };
+
+      if (authType === "app" && (!app.appId || !app.privateKey)) {
+        throw new AppError(
+          "GitHub App ID and private key not found in configurations",
+          401,
+          "AUTH_FAILED"
+        );
+      }
 
-      if (!token) {
+      if (authType !== "app" && !token) {
         throw new AppError(
           "GitHub token not found in configurations",
           401,
@@ -35,12 +85,15 @@ export default class GithubProvider extends BaseProvider {
         );
       }
 
-      await this.createClient(token);
+      this.endpoints = this.resolveEndpoints(baseUrl);
+
+      await this.createClient(token, authType === "app" ? app : null);
     } catch (error) {
       if (
         error.statusCode === "401" ||
         error.response?.status === 401 ||
-        error.statusCode === 401
+        error.statusCode === 401 ||
+        error.statusCode === 429
       ) {
         throw error;
       }
@@ -48,22 +101,61 @@ export default class GithubProvider extends BaseProvider {
     }
   }
 
-  async createClient(token) {
+  async createClient(token, app = null) {
     try {
       // Guard Clause: If there is no error neither provider or cached, there is authentication issue
-      if (!token)
+      if (!token && !app)
         throw new AppError("GitHub authentication failed", 401, "AUTH_FAILED");
 
+      const headers = {
+        Accept: "application/vnd.github+json",
+      };
+
+      if (this.endpoints.isEnterprise) {
+        this.serverVersion = await this.fetchServerVersion();
+      }
+      if (this.supportsApiVersionHeader()) {
+        headers["X-GitHub-Api-Version"] = this.config.apiVersion;
+      }
+
+      // The instance lives as long as the connection settings, and so does its
+      // installation token cache
+      this.appAuth = app
+        ? new GithubAppAuth({
+            ...app,
+            owner: this.owner,
+            restUrl: this.endpoints.restUrl,
+            headers,
+            refreshMarginMs: this.config.auth.app.refreshMarginMs,
+          })
+        : null;
+
       this.client = axios.create({
-        baseURL: this.config.apiBaseUrl,
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: "application/vnd.github+json",
-          "X-GitHub-Api-Version": this.config.apiVersion,
-        },
+        baseURL: this.endpoints.restUrl,
+        headers: app
+          ? headers
+          : { ...headers, Authorization: `Bearer ${token}` },
       });
 
-      const { data } = await this.client.get("/user");
+      // The scheduler sits below the cache, cache hits never wait for quota
+      this.scheduler.attach(this.client);
+      if (this.httpCache) {
+        this.httpCache.attach(this.client);
+      }
+
+      // Installation tokens can't read /user, so probe the installation instead
+      if (this.appAuth) {
+        this.appAuth.attach(this.client);
+        const { data } = await this.client.get("/installation/repositories", {
+          params: { per_page: 1 },
+          cache: false,
+        });
+
+        return data;
+      }
+
+      const { data } = await this.client.get("/user", { cache: false });
+      this.login = data.login;
 
       return data;
     } catch (error) {
@@ -71,6 +163,67 @@ export default class GithubProvider extends BaseProvider {
     }
   }
 
+  // Accepts github.com, api.github.com or any GHES host (with or without /api/v3)
+  resolveEndpoints(baseUrl) {
+    const url = baseUrl.trim().replace(/\/+$/, "");
+    const host = url.replace(/\/api\/v3$/, "");
+
+    if (!host || /^https?:\/\/(api\.)?github\.com$/i.test(host)) {
+      return {
+        isEnterprise: false,
+        restUrl: this.config.apiBaseUrl,
+        graphqlUrl: this.config.graphqlUrl,
+      };
+    }
+
+    return {
+      isEnterprise: true,
+      restUrl: `${host}${this.config.enterprise.restPath}`,
+      graphqlUrl: `${host}${this.config.enterprise.graphqlPath}`,
+    };
+  }
+
+  async fetchServerVersion() {
+    try {
+      const { data } = await axios.get(`${this.endpoints.restUrl}/meta`, {
+        headers: { Accept: "application/vnd.github+json" },
+      });
+
+      return data.installed_version || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  supportsApiVersionHeader() {
+    if (!this.endpoints.isEnterprise) return true;
+    if (!this.serverVersion) return false;
+
+    const [major, minor] = this.serverVersion.split(".").map(Number);
+    const [minMajor, minMinor] = this.config.enterprise.apiVersionSince
+      .split(".")
+      .map(Number);
+
+    return major > minMajor || (major === minMajor && minor >= minMinor);
+  }
+
+  async graphql(query, variables = {}) {
+    const { data } = await this.client.post(this.endpoints.graphqlUrl, {
+      query,
+      variables,
+    });
+
+    if (data.errors?.length) {
+      throw new AppError(
+        data.errors.map((err) => err.message).join("; "),
+        400,
+        "GRAPHQL_QUERY_FAILED"
+      );
+    }
+
+    return data.data;
+  }
+
   async actionUpdatePluginConfig(options = {}) {
     try {
       const newConfigs = options.configs;
@@ -94,30 +247,143 @@ export default class GithubProvider extends BaseProvider {
     }
   }
 
+  // Follows every page of a sub-list (PR files, commits...), unlike fetchList it
+  // leaves the pagination reported for the action alone
+  async fetchAll(url, { params = {}, select, cache } = {}) {
+    const { maxPerPage, maxItems } = this.config.pagination;
+    const items = [];
+    let response = await this.client.get(url, {
+      params: { ...params, per_page: maxPerPage },
+      cache: cache,
+    });
+
+    for (;;) {
+      items.push(...(select ? select(response.data) : response.data));
+      const next = this.parseLinkHeader(response.headers.link).next;
+      if (!next || items.length >= maxItems) return items;
+      response = await this.client.get(next, { cache: cache });
+    }
+  }
+
+  // Resolves a branch, tag or short SHA to the full SHA of its commit
+  async resolveSha(owner, repoName, ref) {
+    if (/^[0-9a-f]{40}$/.test(ref)) return ref;
+
+    const { data } = await this.client.get(
+      `/repos/${owner}/${repoName}/commits/${encodeURIComponent(ref)}`,
+      {
+        headers: { Accept: "application/vnd.github.sha" },
+        responseType: "text",
+        cache: false,
+      }
+    );
+    return data.trim();
+  }
+
+  async accountType(owner) {
+    const { data } = await this.client.get(`/users/${owner}`);
+    return data.type;
+  }
+
+  // Pages through a list endpoint by its `Link` headers, `select` picks the items
+  // out of wrapped payloads such as { total_count, items }
+  async fetchList(
+    url,
+    options,
+    { params = {}, select, total, defaults, headers } = {}
+  ) {
+    return this.paginate(
+      options,
+      async (next, { page, perPage }) => {
+        const response = next
+          ? await this.client.get(next, { headers })
+          : await this.client.get(url, {
+              params: { ...params, per_page: perPage, page: page },
+              headers: headers,
+            });
+
+        return {
+          items: select ? select(response.data) : response.data,
+          next: this.parseLinkHeader(response.headers.link).next,
+          total: total ? total(response.data) : response.data?.total_count,
+        };
+      },
+      defaults
+    );
+  }
+
   async actionListRepos(options = {}) {
     try {
       options = options?.configs?.params || [];
+      // Only an explicit owner narrows the listing, otherwise it covers the token's own access
+      const owner =
+        options?.find((par) => par.key === "owner")?.value[0]?.trim() || "";
       const visibility =
         options?.find((par) => par.key === "visibility")?.value[0] || "all";
+      const type = options?.find((par) => par.key === "type")?.value[0] || "";
+      const topic =
+        options?.find((par) => par.key === "topic")?.value[0]?.trim() || "";
       const sort =
         options?.find((par) => par.key === "sort")?.value[0] || "updated";
-      const page = options?.find((par) => par.key === "page")?.value[0] || 1;
 
-      const { data } = await this.client.get("/user/repos", {
+      // Topics can only be filtered server side through the search API
+      if (topic) {
+        const account = owner || this.owner;
+        const qualifier =
+          (await this.accountType(account)) === "Organization" ? "org" : "user";
+        const query = [`${qualifier}:${account}`, `topic:${topic}`];
+        if (visibility !== "all") query.push(`is:${visibility}`);
+
+        return await this.fetchList("/search/repositories", options, {
+          params: {
+            q: query.join(" "),
+            sort: sort === "updated" ? "updated" : undefined,
+          },
+          select: (data) => data.items,
+        });
+      }
+
+      if (owner && owner.toLowerCase() !== this.login?.toLowerCase()) {
+        const accountType = await this.accountType(owner);
+
+        return await this.fetchList(
+          accountType === "Organization"
+            ? `/orgs/${owner}/repos`
+            : `/users/${owner}/repos`,
+          options,
+          {
+            params: {
+              type:
+                type || (accountType === "Organization" ? visibility : "owner"),
+              sort: sort,
+            },
+          }
+        );
+      }
+
+      // An App installation has no user, it sees the repositories it was granted
+      if (this.appAuth) {
+        return await this.fetchList("/installation/repositories", options, {
+          select: (data) =>
+            data.repositories.filter(
+              (repo) => visibility === "all" || repo.visibility === visibility
+            ),
+          // The count covers every visibility
+          total: (data) => (visibility === "all" ? data.total_count : null),
+        });
+      }
+
+      return await this.fetchList("/user/repos", options, {
         params: {
           visibility: visibility,
           sort: sort,
-          per_page: 50,
-          page: page,
         },
       });
-
-      return data;
     } catch (error) {
       if (error.response?.status === 404 || error.statusCode === 404) {
         throw new AppError("Resources not found", 404, "RESOURCE_NOT_FOUND");
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -128,9 +394,38 @@ export default class GithubProvider extends BaseProvider {
     }
   }
 
+  async actionListOrgs(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+
+      if (this.appAuth) {
+        throw new AppError(
+          "Listing organizations requires a personal access token",
+          400,
+          "UNSUPPORTED_AUTH_TYPE"
+        );
+      }
+
+      return await this.fetchList("/user/orgs", options);
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Resources not found", 404, "RESOURCE_NOT_FOUND");
+      }
+      if (this.passesThrough(error)) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch organizations",
+        500,
+        "FETCH_ORGS_FAILED"
+      );
+    }
+  }
+
   async actionGetRepo(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
         options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
 
@@ -142,16 +437,14 @@ export default class GithubProvider extends BaseProvider {
         );
       }
 
-      const { data } = await this.client.get(
-        `/repos/${this.owner}/${repoName}`
-      );
+      const { data } = await this.client.get(`/repos/${owner}/${repoName}`);
 
       return data;
     } catch (error) {
       if (error.response?.status === 404 || error.statusCode === 404) {
         throw new AppError("Repository not found", 404, "REPOSITORY_NOT_FOUND");
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -165,6 +458,7 @@ export default class GithubProvider extends BaseProvider {
   async actionListRepoContents(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
         options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
       const path =
@@ -185,7 +479,7 @@ export default class GithubProvider extends BaseProvider {
       };
 
       const { data } = await this.client.get(
-        `/repos/${this.owner}/${repoName}/contents/${path}`,
+        `/repos/${owner}/${repoName}/contents/${path}`,
         {
           params,
         }
@@ -200,7 +494,7 @@ export default class GithubProvider extends BaseProvider {
           "RESOURCE_NOT_FOUND"
         );
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -214,6 +508,7 @@ export default class GithubProvider extends BaseProvider {
   async actionGetRepoFileContent(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
         options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
       const path =
@@ -234,7 +529,7 @@ export default class GithubProvider extends BaseProvider {
       };
 
       const { data } = await this.client.get(
-        `/repos/${this.owner}/${repoName}/contents/${path}`,
+        `/repos/${owner}/${repoName}/contents/${path}`,
         {
           params,
         }
@@ -249,7 +544,7 @@ export default class GithubProvider extends BaseProvider {
           "RESOURCE_NOT_FOUND"
         );
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -263,6 +558,7 @@ export default class GithubProvider extends BaseProvider {
   async actionListBranches(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
         options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
 
@@ -274,16 +570,15 @@ export default class GithubProvider extends BaseProvider {
         );
       }
 
-      const { data } = await this.client.get(
-        `/repos/${this.owner}/${repoName}/branches`
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/branches`,
+        options
       );
-
-      return data;
     } catch (error) {
       if (error.response?.status === 404 || error.statusCode === 404) {
         throw new AppError("Repository not found", 404, "REPOSITORY_NOT_FOUND");
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -297,6 +592,7 @@ export default class GithubProvider extends BaseProvider {
   async actionListBranchCommits(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
         options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
       const branch =
@@ -314,14 +610,13 @@ export default class GithubProvider extends BaseProvider {
         sha: branch || undefined,
       };
 
-      const { data } = await this.client.get(
-        `/repos/${this.owner}/${repoName}/commits`,
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/commits`,
+        options,
         {
           params,
         }
       );
-
-      return data;
     } catch (error) {
       if (error.response?.status === 404 || error.statusCode === 404) {
         throw new AppError(
@@ -330,7 +625,7 @@ export default class GithubProvider extends BaseProvider {
           "RESOURCE_NOT_FOUND"
         );
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -344,10 +639,11 @@ export default class GithubProvider extends BaseProvider {
   async actionListCommitModifications(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
-        options?.find((par) => par.key === "repoName").value[0].trim() || "";
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
       const commitSha =
-        options?.find((par) => par.key === "commitSha").value[0].trim() || "";
+        options?.find((par) => par.key === "commitSha")?.value[0]?.trim() || "";
       const includeContent =
         options?.find((par) => par.key === "includeContent")?.value[0] || false;
 
@@ -359,12 +655,15 @@ export default class GithubProvider extends BaseProvider {
         );
       }
 
-      const { data } = await this.client.get(
-        `/repos/${this.owner}/${repoName}/commits/${commitSha}`
+      // Large commits spread their files over several pages, return them all by default
+      const files = await this.fetchList(
+        `/repos/${owner}/${repoName}/commits/${commitSha}`,
+        options,
+        { select: (data) => data.files, defaults: { fetchAll: true } }
       );
 
       if (!includeContent) {
-        return data.files.map((file) => ({
+        return files.map((file) => ({
           filename: file.filename,
           status: file.status,
           additions: file.additions,
@@ -373,7 +672,7 @@ export default class GithubProvider extends BaseProvider {
         }));
       }
 
-      return data.files;
+      return files;
     } catch (error) {
       if (error.response?.status === 404 || error.statusCode === 404) {
         throw new AppError(
@@ -382,7 +681,7 @@ export default class GithubProvider extends BaseProvider {
           "RESOURCE_NOT_FOUND"
         );
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -396,6 +695,7 @@ export default class GithubProvider extends BaseProvider {
   async actionGetCommitDetails(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
         options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
       const commitSha =
@@ -410,7 +710,7 @@ export default class GithubProvider extends BaseProvider {
       }
 
       const { data } = await this.client.get(
-        `/repos/${this.owner}/${repoName}/commits/${commitSha}`
+        `/repos/${owner}/${repoName}/commits/${commitSha}`
       );
 
       return {
@@ -436,7 +736,7 @@ export default class GithubProvider extends BaseProvider {
           "RESOURCE_NOT_FOUND"
         );
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -450,6 +750,7 @@ export default class GithubProvider extends BaseProvider {
   async actionCommitsDiff(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
         options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
       const baseCommit =
@@ -471,7 +772,7 @@ export default class GithubProvider extends BaseProvider {
       }
 
       const { data } = await this.client.get(
-        `/repos/${this.owner}/${repoName}/compare/${baseCommit}...${headCommit}`,
+        `/repos/${owner}/${repoName}/compare/${baseCommit}...${headCommit}`,
         {
           params: {
             path: filePath || undefined,
@@ -488,7 +789,7 @@ export default class GithubProvider extends BaseProvider {
           "RESOURCE_NOT_FOUND"
         );
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -502,14 +803,15 @@ export default class GithubProvider extends BaseProvider {
   async actionCommentPrs(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
         options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
       const prNumber =
         options?.find((par) => par.key === "prNumber")?.value[0]?.trim() || "";
-      const comment =
-        options?.find((par) => par.key === "comment")?.value[0]?.trim() || "";
+      // Sent as given, leading whitespace and newlines can be Markdown
+      const comment = this.getParam(options, "comment", "");
 
-      if (!repoName || !prNumber || !comment) {
+      if (!repoName || !prNumber || !comment.trim()) {
         throw new AppError(
           "Repository name, PR number and comment text are required",
           400,
@@ -518,7 +820,7 @@ export default class GithubProvider extends BaseProvider {
       }
 
       const { data } = await this.client.post(
-        `/repos/${this.owner}/${repoName}/issues/${prNumber}/comments`,
+        `/repos/${owner}/${repoName}/issues/${prNumber}/comments`,
         { body: comment }
       );
 
@@ -531,7 +833,7 @@ export default class GithubProvider extends BaseProvider {
           "RESOURCE_NOT_FOUND"
         );
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -545,6 +847,7 @@ export default class GithubProvider extends BaseProvider {
   async actionListPipelines(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
         options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
 
@@ -556,16 +859,16 @@ export default class GithubProvider extends BaseProvider {
         );
       }
 
-      const { data } = await this.client.get(
-        `/repos/${this.owner}/${repoName}/methods/workflows`
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/actions/workflows`,
+        options,
+        { select: (data) => data.workflows }
       );
-
-      return data;
     } catch (error) {
       if (error.response?.status === 404 || error.statusCode === 404) {
         throw new AppError("Repository not found", 404, "RESOURCE_NOT_FOUND");
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -579,6 +882,7 @@ export default class GithubProvider extends BaseProvider {
   async actionListDeployments(options = {}) {
     try {
       options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
       const repoName =
         options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
 
@@ -590,16 +894,15 @@ export default class GithubProvider extends BaseProvider {
         );
       }
 
-      const { data } = await this.client.get(
-        `/repos/${this.owner}/${repoName}/deployments`
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/deployments`,
+        options
       );
-
-      return data;
     } catch (error) {
       if (error.response?.status === 404 || error.statusCode === 404) {
         throw new AppError("Repository not found", 404, "RESOURCE_NOT_FOUND");
       }
-      if (error.response?.status === 400 || error.statusCode === 400) {
+      if (this.passesThrough(error)) {
         throw error;
       }
       throw new AppError(
@@ -610,3 +913,18 @@ export default class GithubProvider extends BaseProvider {
     }
   }
 }
+
+// Feature actions live in their own modules
+Object.assign(
+  GithubProvider.prototype,
+  pullActions,
+  issueActions,
+  workflowActions,
+  deploymentActions,
+  contentActions,
+  branchActions,
+  releaseActions,
+  checkActions,
+  searchActions,
+  treeActions
+);
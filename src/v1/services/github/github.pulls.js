@@ -0,0 +1,472 @@
+import AppError from "../../core/errors/AppError.js";
+
+// Search sorts closest to the pulls endpoint ones
+const SEARCH_SORTS = {
+  created: "created",
+  updated: "updated",
+  popularity: "comments",
+};
+
+// Indexes the lines of a file patch by diff side (LEFT is the old version, RIGHT
+// the new one), each line number mapped to the hunk it belongs to
+const parsePatch = (patch = "") => {
+  const lines = { LEFT: new Map(), RIGHT: new Map() };
+  let oldLine = 0;
+  let newLine = 0;
+  let hunk = -1;
+
+  for (const text of patch.split("\n")) {
+    const header = text.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (header) {
+      oldLine = Number(header[1]);
+      newLine = Number(header[2]);
+      hunk++;
+      continue;
+    }
+    // Skips "\ No newline at end of file" markers and anything before the first hunk
+    if (hunk < 0 || !text || text.startsWith("\\")) continue;
+
+    if (text.startsWith("+")) {
+      lines.RIGHT.set(newLine++, hunk);
+    } else if (text.startsWith("-")) {
+      lines.LEFT.set(oldLine++, hunk);
+    } else {
+      lines.LEFT.set(oldLine++, hunk);
+      lines.RIGHT.set(newLine++, hunk);
+    }
+  }
+
+  return lines;
+};
+
+// Describes the commentable lines of one side, e.g. "10-18, 30-35"
+const describeRanges = (lines) => {
+  const ranges = [];
+  for (const line of [...lines.keys()].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === line - 1) {
+      last[1] = line;
+    } else {
+      ranges.push([line, line]);
+    }
+  }
+  return (
+    ranges
+      .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+      .join(", ") || "none"
+  );
+};
+
+// Turns { path, line, startLine, side, body, suggestion } into a review comment
+// anchored on the PR diff, or throws why it can't be placed
+const anchorComment = (comment, files) => {
+  const { path } = comment;
+  if (!path) {
+    throw new Error("path is required");
+  }
+  const file = files.find((item) => item.filename === path);
+  if (!file) {
+    throw new Error(`${path} is not changed by this pull request`);
+  }
+  if (!file.patch) {
+    throw new Error(`${path} has no textual diff (binary or too large)`);
+  }
+
+  const line = Number(comment.line);
+  const startLine =
+    comment.startLine === undefined ? null : Number(comment.startLine);
+  if (!Number.isInteger(line) || line < 1) {
+    throw new Error("line must be a positive integer");
+  }
+  if (
+    startLine !== null &&
+    !(Number.isInteger(startLine) && startLine < line)
+  ) {
+    throw new Error("startLine must be an integer lower than line");
+  }
+
+  // Line numbers refer to the new version unless the old one is asked for
+  const side = String(comment.side || "RIGHT").toUpperCase();
+  if (side !== "RIGHT" && side !== "LEFT") {
+    throw new Error("side must be LEFT or RIGHT");
+  }
+
+  const lines = parsePatch(file.patch)[side];
+  const hunk = lines.get(line);
+  if (hunk === undefined || (startLine !== null && !lines.has(startLine))) {
+    throw new Error(
+      `line ${
+        startLine ? `${startLine}-` : ""
+      }${line} of ${path} (${side}) is outside the diff, commentable lines: ${describeRanges(
+        lines
+      )}`
+    );
+  }
+  if (startLine !== null && lines.get(startLine) !== hunk) {
+    throw new Error(
+      `lines ${startLine}-${line} of ${path} span several diff hunks`
+    );
+  }
+
+  const body = [comment.body];
+  if (comment.suggestion !== undefined) {
+    if (side === "LEFT") {
+      throw new Error("suggestions only apply to the new version (RIGHT)");
+    }
+    body.push(`\`\`\`suggestion\n${comment.suggestion}\n\`\`\``);
+  }
+  if (!body.filter(Boolean).length) {
+    throw new Error("a body or a suggestion is required");
+  }
+
+  return {
+    path: path,
+    line: line,
+    side: side,
+    start_line: startLine ?? undefined,
+    start_side: startLine !== null ? side : undefined,
+    body: body.filter(Boolean).join("\n\n"),
+  };
+};
+
+// Pull request actions of GithubProvider
+export default {
+  async actionListPulls(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const state = this.getParam(options, "state", "open");
+      const base = this.getParam(options, "base");
+      const head = this.getParam(options, "head");
+      const author = this.getParam(options, "author");
+      const sort = this.getParam(options, "sort", "created");
+      const direction = this.getParam(options, "direction", "desc");
+
+      // The pulls endpoint can't filter by author, the search API can
+      if (author) {
+        const query = [
+          `repo:${owner}/${repoName}`,
+          "is:pr",
+          `author:${author}`,
+        ];
+        if (state !== "all") query.push(`is:${state}`);
+        if (base) query.push(`base:${base}`);
+        if (head) query.push(`head:${head.split(":").pop()}`);
+
+        return await this.fetchList("/search/issues", options, {
+          params: {
+            q: query.join(" "),
+            sort: SEARCH_SORTS[sort],
+            order: direction,
+          },
+          select: (data) => data.items,
+        });
+      }
+
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/pulls`,
+        options,
+        {
+          params: {
+            state: state,
+            base: base || undefined,
+            // GitHub only matches heads given as "user:branch"
+            head:
+              head && !head.includes(":")
+                ? `${owner}:${head}`
+                : head || undefined,
+            sort: sort,
+            direction: direction,
+          },
+        }
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository not found",
+        failed: "Failed to fetch pull requests",
+        code: "FETCH_PULLS_FAILED",
+      });
+    }
+  },
+
+  async actionGetPull(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const prNumber = this.getParam(options, "prNumber");
+      const includeFiles = this.getParam(options, "includeFiles", true);
+      const includeCommits = this.getParam(options, "includeCommits", true);
+
+      const url = `/repos/${owner}/${repoName}/pulls/${prNumber}`;
+      const [{ data }, files, commits] = await Promise.all([
+        this.client.get(url),
+        includeFiles ? this.fetchAll(`${url}/files`) : undefined,
+        includeCommits ? this.fetchAll(`${url}/commits`) : undefined,
+      ]);
+
+      return { ...data, files, commits };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Pull request or repository not found",
+        failed: "Failed to fetch pull request",
+        code: "FETCH_PULL_FAILED",
+      });
+    }
+  },
+
+  async actionCreatePull(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/pulls`,
+        {
+          title: this.getParam(options, "title"),
+          head: this.getParam(options, "head"),
+          base: this.getParam(options, "base"),
+          body: this.getParam(options, "body"),
+          draft: this.getParam(options, "draft", false),
+          maintainer_can_modify: this.getParam(
+            options,
+            "maintainerCanModify",
+            true
+          ),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository not found",
+        failed: "Failed to create pull request",
+        code: "CREATE_PULL_FAILED",
+      });
+    }
+  },
+
+  async actionUpdatePull(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const prNumber = this.getParam(options, "prNumber");
+
+      // Only the given fields are changed
+      const changes = {
+        title: this.getParam(options, "title"),
+        body: this.getParam(options, "body"),
+        base: this.getParam(options, "base"),
+        state: this.getParam(options, "state"),
+        maintainer_can_modify: this.getParam(options, "maintainerCanModify"),
+      };
+
+      if (Object.values(changes).every((value) => value === undefined)) {
+        throw new AppError(
+          "Nothing to update, give at least one field to change",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.patch(
+        `/repos/${owner}/${repoName}/pulls/${prNumber}`,
+        changes
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Pull request or repository not found",
+        failed: "Failed to update pull request",
+        code: "UPDATE_PULL_FAILED",
+      });
+    }
+  },
+
+  async actionClosePull(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const prNumber = this.getParam(options, "prNumber");
+
+      const { data } = await this.client.patch(
+        `/repos/${owner}/${repoName}/pulls/${prNumber}`,
+        { state: "closed" }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Pull request or repository not found",
+        failed: "Failed to close pull request",
+        code: "CLOSE_PULL_FAILED",
+      });
+    }
+  },
+
+  async actionRequestReviewers(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const prNumber = this.getParam(options, "prNumber");
+      const reviewers = this.getParamList(options, "reviewers");
+      const teamReviewers = this.getParamList(options, "teamReviewers");
+
+      if (!reviewers.length && !teamReviewers.length) {
+        throw new AppError(
+          "At least one reviewer or team reviewer is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/pulls/${prNumber}/requested_reviewers`,
+        { reviewers: reviewers, team_reviewers: teamReviewers }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Pull request or repository not found",
+        failed: "Failed to request reviewers",
+        code: "REQUEST_REVIEWERS_FAILED",
+      });
+    }
+  },
+
+  async actionSubmitReview(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const prNumber = this.getParam(options, "prNumber");
+      const event = this.getParam(options, "event", "COMMENT");
+      const body = this.getParam(options, "body");
+
+      if (event !== "APPROVE" && !body) {
+        throw new AppError(
+          "A review body is required to comment or request changes",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/pulls/${prNumber}/reviews`,
+        {
+          event: event,
+          body: body || undefined,
+          commit_id: this.getParam(options, "commitSha"),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Pull request or repository not found",
+        failed: "Failed to submit review",
+        code: "SUBMIT_REVIEW_FAILED",
+      });
+    }
+  },
+
+  async actionCommentPrLines(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const prNumber = this.getParam(options, "prNumber");
+      const comments = this.getParamItems(options, "comments");
+
+      if (!comments.length) {
+        throw new AppError(
+          "At least one line comment is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // Read past the cache, lines are checked against the current head commit
+      // the review is pinned to
+      const url = `/repos/${owner}/${repoName}/pulls/${prNumber}`;
+      const [{ data: pull }, files] = await Promise.all([
+        this.client.get(url, { cache: false }),
+        this.fetchAll(`${url}/files`, { cache: false }),
+      ]);
+
+      const errors = [];
+      const anchored = comments.map((comment, index) => {
+        try {
+          return anchorComment(comment, files);
+        } catch (error) {
+          errors.push({
+            index: index,
+            path: comment.path,
+            message: error.message,
+          });
+          return null;
+        }
+      });
+
+      if (errors.length) {
+        throw new AppError(
+          `${errors.length} comment(s) can't be placed on the pull request diff`,
+          400,
+          "INVALID_LINE_COMMENTS",
+          errors
+        );
+      }
+
+      const { data } = await this.client.post(`${url}/reviews`, {
+        commit_id: pull.head.sha,
+        event: this.getParam(options, "event", "COMMENT"),
+        body: this.getParam(options, "body"),
+        comments: anchored,
+      });
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Pull request or repository not found",
+        failed: "Failed to post line comments",
+        code: "COMMENT_LINES_FAILED",
+      });
+    }
+  },
+
+  async actionMergePull(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const prNumber = this.getParam(options, "prNumber");
+
+      // GitHub answers 405 when the PR can't be merged and 409 when the head
+      // moved away from the expected SHA, both are passed on as is
+      const { data } = await this.client.put(
+        `/repos/${owner}/${repoName}/pulls/${prNumber}/merge`,
+        {
+          merge_method: this.getParam(options, "mergeMethod", "merge"),
+          sha: this.getParam(options, "expectedHeadSha"),
+          commit_title: this.getParam(options, "commitTitle"),
+          commit_message: this.getParam(options, "commitMessage"),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Pull request or repository not found",
+        failed: "Failed to merge pull request",
+        code: "MERGE_PULL_FAILED",
+      });
+    }
+  },
+};
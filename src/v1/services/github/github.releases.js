@@ -0,0 +1,330 @@
+import AppError from "../../core/errors/AppError.js";
+import BinaryResult from "../../core/binary.result.js";
+
+// A release is given by its ID, its tag name, or "latest"
+const releaseUrl = (owner, repoName, release) => {
+  const url = `/repos/${owner}/${repoName}/releases`;
+  if (/^[0-9]+$/.test(release)) return `${url}/${release}`;
+  if (release === "latest") return `${url}/latest`;
+  return `${url}/tags/${encodeURIComponent(release)}`;
+};
+
+// Release and tag actions of GithubProvider
+export default {
+  async actionListReleases(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/releases`,
+        options
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository not found",
+        failed: "Failed to fetch releases",
+        code: "FETCH_RELEASES_FAILED",
+      });
+    }
+  },
+
+  async actionGetRelease(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const release = this.getParam(options, "release");
+
+      const { data } = await this.client.get(
+        releaseUrl(owner, repoName, release)
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Release or repository not found",
+        failed: "Failed to fetch release",
+        code: "FETCH_RELEASE_FAILED",
+      });
+    }
+  },
+
+  async actionCreateRelease(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+
+      // A missing tag is created on the target when the release is published
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/releases`,
+        {
+          tag_name: this.getParam(options, "tag"),
+          target_commitish: this.getParam(options, "target"),
+          name: this.getParam(options, "name"),
+          body: this.getParam(options, "body"),
+          draft: this.getParam(options, "draft", false),
+          prerelease: this.getParam(options, "prerelease", false),
+          generate_release_notes: this.getParam(
+            options,
+            "generateNotes",
+            false
+          ),
+          make_latest: this.getParam(options, "makeLatest"),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository not found",
+        failed: "Failed to create release",
+        code: "CREATE_RELEASE_FAILED",
+      });
+    }
+  },
+
+  async actionUpdateRelease(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const release = this.getParam(options, "release");
+
+      // Only the given fields are changed
+      const changes = {
+        tag_name: this.getParam(options, "tag"),
+        target_commitish: this.getParam(options, "target"),
+        name: this.getParam(options, "name"),
+        body: this.getParam(options, "body"),
+        draft: this.getParam(options, "draft"),
+        prerelease: this.getParam(options, "prerelease"),
+        make_latest: this.getParam(options, "makeLatest"),
+      };
+
+      if (Object.values(changes).every((value) => value === undefined)) {
+        throw new AppError(
+          "Nothing to update, give at least one field to change",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // Edits need the numeric ID, a tag is looked up first
+      const id = /^[0-9]+$/.test(release)
+        ? release
+        : (
+            await this.client.get(releaseUrl(owner, repoName, release), {
+              cache: false,
+            })
+          ).data.id;
+
+      const { data } = await this.client.patch(
+        `/repos/${owner}/${repoName}/releases/${id}`,
+        changes
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Release or repository not found",
+        failed: "Failed to update release",
+        code: "UPDATE_RELEASE_FAILED",
+      });
+    }
+  },
+
+  async actionDeleteRelease(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const deleteTag = this.getParam(options, "deleteTag", false);
+
+      const { data: release } = await this.client.get(
+        releaseUrl(owner, repoName, this.getParam(options, "release")),
+        { cache: false }
+      );
+
+      await this.client.delete(
+        `/repos/${owner}/${repoName}/releases/${release.id}`
+      );
+      // GitHub keeps the tag of a deleted release unless asked otherwise
+      if (deleteTag) {
+        await this.client.delete(
+          `/repos/${owner}/${repoName}/git/refs/tags/${release.tag_name}`
+        );
+      }
+
+      return {
+        deleted: true,
+        id: release.id,
+        tag: release.tag_name,
+        tagDeleted: deleteTag,
+      };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Release or repository not found",
+        failed: "Failed to delete release",
+        code: "DELETE_RELEASE_FAILED",
+      });
+    }
+  },
+
+  async actionCreateTag(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const tag = this.getParam(options, "tag");
+      const repoUrl = `/repos/${owner}/${repoName}`;
+      const taggerName = this.getParam(options, "taggerName");
+
+      const target =
+        this.getParam(options, "target") ||
+        (await this.client.get(repoUrl, { cache: false })).data.default_branch;
+
+      // An annotated tag is a tag object plus the ref pointing to it
+      const { data: tagObject } = await this.client.post(
+        `${repoUrl}/git/tags`,
+        {
+          tag: tag,
+          message: this.getParam(options, "message"),
+          object: await this.resolveSha(owner, repoName, target),
+          type: "commit",
+          tagger: taggerName
+            ? {
+                name: taggerName,
+                email: this.getParam(options, "taggerEmail"),
+                date: new Date().toISOString(),
+              }
+            : undefined,
+        }
+      );
+      await this.client.post(`${repoUrl}/git/refs`, {
+        ref: `refs/tags/${tag}`,
+        sha: tagObject.sha,
+      });
+
+      return tagObject;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository or target not found",
+        failed: "Failed to create tag",
+        code: "CREATE_TAG_FAILED",
+      });
+    }
+  },
+
+  async actionGenerateReleaseNotes(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+
+      // Nothing is saved, the notes are returned to be reviewed or edited
+      const { data } = await this.client.post(
+        `/repos/${owner}/${repoName}/releases/generate-notes`,
+        {
+          tag_name: this.getParam(options, "tag"),
+          previous_tag_name: this.getParam(options, "previousTag"),
+          target_commitish: this.getParam(options, "target"),
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository or tag not found",
+        failed: "Failed to generate release notes",
+        code: "GENERATE_RELEASE_NOTES_FAILED",
+      });
+    }
+  },
+
+  async actionUploadReleaseAsset(options = {}) {
+    try {
+      const upload = options?.upload;
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const name = this.getParam(options, "name");
+
+      if (!upload) {
+        throw new AppError(
+          "Send the asset as the request body, with the params in the query string",
+          400,
+          "MISSING_UPLOAD_BODY"
+        );
+      }
+      // GitHub needs the size up front, chunked uploads are refused
+      if (!upload.contentLength) {
+        throw new AppError(
+          "The Content-Length of the asset is required",
+          411,
+          "MISSING_CONTENT_LENGTH"
+        );
+      }
+
+      const { data: release } = await this.client.get(
+        releaseUrl(owner, repoName, this.getParam(options, "release")),
+        { cache: false }
+      );
+
+      // Redirects are off so the body streams through instead of being buffered for a replay
+      const { data } = await this.client.post(
+        release.upload_url.replace(/\{.*\}$/, ""),
+        upload.stream,
+        {
+          params: { name: name, label: this.getParam(options, "label") },
+          headers: {
+            "Content-Type": upload.contentType || "application/octet-stream",
+            "Content-Length": upload.contentLength,
+          },
+          maxRedirects: 0,
+          maxBodyLength: Infinity,
+        }
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Release or repository not found",
+        failed: "Failed to upload release asset",
+        code: "UPLOAD_RELEASE_ASSET_FAILED",
+      });
+    }
+  },
+
+  async actionDownloadReleaseAsset(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const assetId = this.getParam(options, "assetId");
+      const url = `/repos/${owner}/${repoName}/releases/assets/${assetId}`;
+
+      const { data: asset } = await this.client.get(url);
+
+      // GitHub redirects to the storage holding the file, it is piped through as it arrives
+      const { data: stream } = await this.client.get(url, {
+        headers: { Accept: "application/octet-stream" },
+        responseType: "stream",
+      });
+
+      return new BinaryResult(stream, {
+        filename: asset.name,
+        contentType: asset.content_type,
+        contentLength: asset.size,
+      });
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Release asset or repository not found",
+        failed: "Failed to download release asset",
+        code: "DOWNLOAD_RELEASE_ASSET_FAILED",
+      });
+    }
+  },
+};
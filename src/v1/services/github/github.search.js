@@ -0,0 +1,206 @@
+import AppError from "../../core/errors/AppError.js";
+
+// Asks GitHub for the matched fragments along with the results
+const TEXT_MATCH = "application/vnd.github.text-match+json";
+
+const repositoryOf = (item) =>
+  item.repository?.full_name ||
+  item.repository_url?.replace(/^.*\/repos\//, "") ||
+  null;
+
+const fragmentsOf = (item) =>
+  (item.text_matches || []).map((match) => match.fragment);
+
+const toCodeResult = (item) => ({
+  repository: repositoryOf(item),
+  path: item.path,
+  name: item.name,
+  sha: item.sha,
+  url: item.html_url,
+  fragments: fragmentsOf(item),
+});
+
+const toCommitResult = (item) => ({
+  repository: repositoryOf(item),
+  sha: item.sha,
+  message: item.commit.message,
+  author: {
+    name: item.commit.author?.name,
+    email: item.commit.author?.email,
+    login: item.author?.login || null,
+    date: item.commit.author?.date,
+  },
+  committer: {
+    name: item.commit.committer?.name,
+    email: item.commit.committer?.email,
+    login: item.committer?.login || null,
+    date: item.commit.committer?.date,
+  },
+  url: item.html_url,
+});
+
+const toIssueResult = (item) => ({
+  repository: repositoryOf(item),
+  number: item.number,
+  type: item.pull_request ? "pull_request" : "issue",
+  title: item.title,
+  state: item.state,
+  stateReason: item.state_reason || null,
+  draft: item.draft ?? null,
+  author: item.user?.login || null,
+  labels: (item.labels || []).map((label) => label.name),
+  assignees: (item.assignees || []).map((user) => user.login),
+  comments: item.comments,
+  createdAt: item.created_at,
+  updatedAt: item.updated_at,
+  closedAt: item.closed_at,
+  url: item.html_url,
+  fragments: fragmentsOf(item),
+});
+
+// Dates as a range qualifier, e.g. author-date:2024-01-01..2024-02-01
+const dateRange = (qualifier, since, until) => {
+  if (since && until) return `${qualifier}:${since}..${until}`;
+  if (since) return `${qualifier}:>=${since}`;
+  if (until) return `${qualifier}:<=${until}`;
+  return null;
+};
+
+// Joins the search terms with the qualifier limiting them to the repository,
+// or to every repository of the owner
+const scopedQuery = async (provider, options, terms) => {
+  const owner = provider.resolveOwner(options);
+  const repoName = provider.getParam(options, "repoName");
+  const text = terms.filter(Boolean).join(" ");
+
+  // Scope qualifiers in any term would widen the search past the owner,
+  // a term may also close a quoted label to start one
+  if (/(^|[\s("])-?(org|user|repo):/i.test(text)) {
+    throw new AppError(
+      "The search can't hold org:, user: or repo: qualifiers, use the owner and repoName params",
+      400,
+      "INVALID_SEARCH_QUERY"
+    );
+  }
+
+  if (repoName) return `${text} repo:${owner}/${repoName}`;
+  const qualifier =
+    (await provider.accountType(owner)) === "Organization" ? "org" : "user";
+  return `${text} ${qualifier}:${owner}`;
+};
+
+// Search actions of GithubProvider, every query is kept inside one owner
+export default {
+  async actionSearchCode(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const query = [this.getParam(options, "query")];
+      const language = this.getParam(options, "language");
+      const path = this.getParam(options, "path");
+      const filename = this.getParam(options, "filename");
+      const extension = this.getParam(options, "extension");
+      if (language) query.push(`language:${language}`);
+      if (path) query.push(`path:${path}`);
+      if (filename) query.push(`filename:${filename}`);
+      if (extension) query.push(`extension:${extension.replace(/^\./, "")}`);
+
+      // Code search only looks at default branches and ranks by best match
+      return await this.fetchList("/search/code", options, {
+        params: { q: await scopedQuery(this, options, query) },
+        select: (data) => data.items.map(toCodeResult),
+        headers: { Accept: TEXT_MATCH },
+      });
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Owner or repository not found",
+        failed: "Failed to search code",
+        code: "SEARCH_CODE_FAILED",
+      });
+    }
+  },
+
+  async actionSearchCommits(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const text = this.getParam(options, "query");
+      const author = this.getParam(options, "author");
+      const query = [text];
+      if (author) {
+        query.push(
+          author.includes("@") ? `author-email:${author}` : `author:${author}`
+        );
+      }
+      query.push(
+        dateRange(
+          "author-date",
+          this.getParam(options, "since"),
+          this.getParam(options, "until")
+        )
+      );
+
+      if (!text && !author) {
+        throw new AppError(
+          "Give a query or an author to search commits",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      return await this.fetchList("/search/commits", options, {
+        params: {
+          q: await scopedQuery(this, options, query),
+          sort: this.getParam(options, "sort"),
+          order: this.getParam(options, "direction", "desc"),
+        },
+        select: (data) => data.items.map(toCommitResult),
+      });
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Owner or repository not found",
+        failed: "Failed to search commits",
+        code: "SEARCH_COMMITS_FAILED",
+      });
+    }
+  },
+
+  async actionSearchIssues(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const type = this.getParam(options, "type", "all");
+      const state = this.getParam(options, "state", "all");
+      const author = this.getParam(options, "author");
+      const assignee = this.getParam(options, "assignee");
+      const query = [this.getParam(options, "query")];
+      if (type !== "all") query.push(`is:${type}`);
+      if (state !== "all") query.push(`is:${state}`);
+      if (author) query.push(`author:${author}`);
+      if (assignee) query.push(`assignee:${assignee}`);
+      this.getParamList(options, "labels").forEach((label) =>
+        query.push(`label:"${label}"`)
+      );
+      query.push(
+        dateRange(
+          this.getParam(options, "dateField", "created"),
+          this.getParam(options, "since"),
+          this.getParam(options, "until")
+        )
+      );
+
+      return await this.fetchList("/search/issues", options, {
+        params: {
+          q: await scopedQuery(this, options, query),
+          sort: this.getParam(options, "sort"),
+          order: this.getParam(options, "direction", "desc"),
+        },
+        select: (data) => data.items.map(toIssueResult),
+        headers: { Accept: TEXT_MATCH },
+      });
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Owner or repository not found",
+        failed: "Failed to search issues",
+        code: "SEARCH_ISSUES_FAILED",
+      });
+    }
+  },
+};
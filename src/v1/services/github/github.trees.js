@@ -0,0 +1,116 @@
+import AppError from "../../core/errors/AppError.js";
+import { globMatcher, splitPatterns } from "../../uitls/glob.js";
+
+const TYPES = { blob: "file", tree: "dir", commit: "submodule" };
+
+const toEntry = (item, prefix) => ({
+  path: `${prefix}${item.path}`,
+  type: item.mode === "120000" ? "symlink" : TYPES[item.type] || item.type,
+  size: item.size ?? null,
+  mode: item.mode,
+  sha: item.sha,
+});
+
+// Whether a directory holds anything under the requested path
+const reaches = (dir, path) =>
+  !path ||
+  path === dir ||
+  path.startsWith(`${dir}/`) ||
+  dir.startsWith(`${path}/`);
+
+const fetchTree = async (client, repoUrl, sha, path, prefix) => {
+  const { data } = await client.get(`${repoUrl}/git/trees/${sha}`, {
+    params: { recursive: 1 },
+  });
+  return data.truncated
+    ? await splitTree(client, repoUrl, sha, path, prefix)
+    : data.tree.map((item) => toEntry(item, prefix));
+};
+
+// A tree too large for one recursive call is listed level by level, each
+// subdirectory is fetched whole again and only split further when still truncated
+const splitTree = async (client, repoUrl, sha, path, prefix) => {
+  const { data } = await client.get(`${repoUrl}/git/trees/${sha}`);
+  const entries = [];
+
+  // One subdirectory at a time, the walk can take many calls on large repositories
+  for (const item of data.tree) {
+    const entry = toEntry(item, prefix);
+    entries.push(entry);
+    if (item.type === "tree" && reaches(entry.path, path)) {
+      entries.push(
+        ...(await fetchTree(client, repoUrl, item.sha, path, `${entry.path}/`))
+      );
+    }
+  }
+  return entries;
+};
+
+// Git tree actions of GithubProvider
+export default {
+  async actionListRepoTree(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const path = this.getParam(options, "path", "").replace(/^\/|\/$/g, "");
+      const type = this.getParam(options, "type", "all");
+      const include = splitPatterns(
+        options.find((par) => par.key === "include")?.value
+      );
+      const exclude = splitPatterns(
+        options.find((par) => par.key === "exclude")?.value
+      );
+      const repoUrl = `/repos/${owner}/${repoName}`;
+
+      let included;
+      let excluded;
+      try {
+        included = include.length ? globMatcher(include) : () => true;
+        excluded = exclude.length ? globMatcher(exclude) : () => false;
+      } catch (error) {
+        throw new AppError(error.message, 400, "INVALID_GLOB_PATTERN");
+      }
+
+      // Pinned to the commit so the walk sees one consistent tree
+      const sha = await this.resolveSha(
+        owner,
+        repoName,
+        this.getParam(options, "ref", "HEAD")
+      );
+      const { data: root } = await this.client.get(
+        `${repoUrl}/git/trees/${sha}`,
+        { params: { recursive: 1 } }
+      );
+      const walked = root.truncated;
+      const tree = walked
+        ? await splitTree(this.client, repoUrl, sha, path, "")
+        : root.tree.map((item) => toEntry(item, ""));
+
+      const entries = tree.filter(
+        (entry) =>
+          (!path || entry.path.startsWith(`${path}/`)) &&
+          (type === "all" || entry.type === type) &&
+          included(entry.path) &&
+          !excluded(entry.path)
+      );
+      const files = entries.filter((entry) => entry.type === "file");
+
+      return {
+        sha: sha,
+        path: path,
+        walked: walked,
+        count: entries.length,
+        files: files.length,
+        size: files.reduce((total, entry) => total + entry.size, 0),
+        entries: entries,
+      };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository or reference not found",
+        failed: "Failed to fetch repository tree",
+        code: "FETCH_TREE_FAILED",
+      });
+    }
+  },
+};
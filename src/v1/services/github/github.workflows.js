@@ -0,0 +1,289 @@
+import AppError from "../../core/errors/AppError.js";
+import BinaryResult from "../../core/binary.result.js";
+import { readZip, ZipTooLargeError } from "../../uitls/zip.js";
+
+// Keeps the end of a log, where failures are
+const tail = (text, lines) => {
+  if (!lines) return text;
+  return text.replace(/\n$/, "").split("\n").slice(-lines).join("\n");
+};
+
+// Run log archives hold one "<n>_<job>.txt" file per job and, for older runs,
+// a "<job>/<n>_<step>.txt" file per step
+const describeLogFile = (path) => {
+  const [folder, file] = path.includes("/") ? path.split("/") : [null, path];
+  const match = file.match(/^(\d+)_(.*)\.txt$/);
+  const name = match ? match[2] : file;
+
+  return {
+    path: path,
+    job: folder ?? name,
+    step: folder ? name : null,
+    number: match ? Number(match[1]) : null,
+  };
+};
+
+// GitHub Actions workflows and runs of GithubProvider
+export default {
+  async actionListWorkflowRuns(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const workflow = this.getParam(options, "workflow");
+
+      return await this.fetchList(
+        workflow
+          ? `/repos/${owner}/${repoName}/actions/workflows/${workflow}/runs`
+          : `/repos/${owner}/${repoName}/actions/runs`,
+        options,
+        {
+          params: {
+            branch: this.getParam(options, "branch"),
+            status: this.getParam(options, "status"),
+            event: this.getParam(options, "event"),
+            actor: this.getParam(options, "actor"),
+            head_sha: this.getParam(options, "headSha"),
+          },
+          select: (data) => data.workflow_runs,
+        }
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository or workflow not found",
+        failed: "Failed to fetch workflow runs",
+        code: "FETCH_WORKFLOW_RUNS_FAILED",
+      });
+    }
+  },
+
+  async actionGetWorkflowRun(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const runId = this.getParam(options, "runId");
+
+      const { data } = await this.client.get(
+        `/repos/${owner}/${repoName}/actions/runs/${runId}`
+      );
+
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Workflow run or repository not found",
+        failed: "Failed to fetch workflow run",
+        code: "FETCH_WORKFLOW_RUN_FAILED",
+      });
+    }
+  },
+
+  async actionListRunJobs(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const runId = this.getParam(options, "runId");
+
+      // Each job carries its steps with their status and timings
+      return await this.fetchList(
+        `/repos/${owner}/${repoName}/actions/runs/${runId}/jobs`,
+        options,
+        {
+          params: { filter: this.getParam(options, "filter", "latest") },
+          select: (data) => data.jobs,
+        }
+      );
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Workflow run or repository not found",
+        failed: "Failed to fetch workflow run jobs",
+        code: "FETCH_RUN_JOBS_FAILED",
+      });
+    }
+  },
+
+  async actionDispatchWorkflow(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const workflow = this.getParam(options, "workflow");
+      const inputs = this.getParam(options, "inputs", {});
+
+      if (typeof inputs !== "object" || Array.isArray(inputs)) {
+        throw new AppError(
+          "Workflow inputs must be a JSON object of input names to values",
+          400,
+          "INVALID_WORKFLOW_INPUTS"
+        );
+      }
+
+      const ref =
+        this.getParam(options, "ref") ||
+        (await this.client.get(`/repos/${owner}/${repoName}`, { cache: false }))
+          .data.default_branch;
+
+      // GitHub answers 204 without the run, it shows up in the workflow runs shortly after
+      await this.client.post(
+        `/repos/${owner}/${repoName}/actions/workflows/${workflow}/dispatches`,
+        { ref: ref, inputs: inputs }
+      );
+
+      return { dispatched: true, workflow: workflow, ref: ref, inputs: inputs };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Repository or workflow not found",
+        failed: "Failed to dispatch workflow",
+        code: "DISPATCH_WORKFLOW_FAILED",
+      });
+    }
+  },
+
+  async actionRerunWorkflowRun(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const runId = this.getParam(options, "runId");
+      const failedOnly = this.getParam(options, "failedOnly", false);
+
+      const url = `/repos/${owner}/${repoName}/actions/runs/${runId}`;
+      await this.client.post(
+        failedOnly ? `${url}/rerun-failed-jobs` : `${url}/rerun`,
+        {
+          enable_debug_logging: this.getParam(options, "debugLogging", false),
+        }
+      );
+
+      const { data } = await this.client.get(url, { cache: false });
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Workflow run or repository not found",
+        failed: "Failed to re-run workflow run",
+        code: "RERUN_WORKFLOW_RUN_FAILED",
+      });
+    }
+  },
+
+  async actionCancelWorkflowRun(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const runId = this.getParam(options, "runId");
+      const force = this.getParam(options, "force", false);
+
+      // A forced cancel skips the always() steps that a regular cancel still runs
+      const url = `/repos/${owner}/${repoName}/actions/runs/${runId}`;
+      await this.client.post(force ? `${url}/force-cancel` : `${url}/cancel`);
+
+      const { data } = await this.client.get(url, { cache: false });
+      return data;
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Workflow run or repository not found",
+        failed: "Failed to cancel workflow run",
+        code: "CANCEL_WORKFLOW_RUN_FAILED",
+      });
+    }
+  },
+
+  async actionGetRunLogs(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const runId = this.getParam(options, "runId");
+      const job = this.getParam(options, "job");
+      const tailLines = this.getParam(options, "tailLines");
+      const url = `/repos/${owner}/${repoName}/actions/runs/${runId}/logs`;
+      const { maxArchiveBytes, maxExtractedBytes } = this.config.logs;
+
+      // GitHub redirects to a short-lived zip archive of the whole run
+      if (this.getParam(options, "archive", false)) {
+        const { data: stream, headers } = await this.client.get(url, {
+          responseType: "stream",
+        });
+        return new BinaryResult(stream, {
+          filename: `logs-${runId}.zip`,
+          contentType: "application/zip",
+          contentLength: headers["content-length"],
+        });
+      }
+
+      const tooLarge = () =>
+        new AppError(
+          "The run logs are too large to extract, download them with archive instead",
+          413,
+          "LOG_ARCHIVE_TOO_LARGE"
+        );
+      const { data } = await this.client
+        .get(url, {
+          responseType: "arraybuffer",
+          maxContentLength: maxArchiveBytes,
+        })
+        .catch((error) => {
+          throw /maxContentLength/.test(error.message) ? tooLarge() : error;
+        });
+
+      let files;
+      try {
+        files = await readZip(Buffer.from(data), {
+          maxSize: maxExtractedBytes,
+        });
+      } catch (error) {
+        if (error instanceof ZipTooLargeError) throw tooLarge();
+        throw new AppError(
+          `Failed to extract run logs: ${error.message}`,
+          502,
+          "INVALID_LOG_ARCHIVE"
+        );
+      }
+
+      const logs = files
+        .map((file) => ({
+          ...describeLogFile(file.name),
+          size: file.size,
+          content: tail(file.content.toString("utf8"), tailLines),
+        }))
+        .filter((log) => !job || log.job.toLowerCase() === job.toLowerCase())
+        .sort((a, b) => a.path.localeCompare(b.path, "en", { numeric: true }));
+
+      return { runId: runId, logs: logs };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Workflow run or repository not found, or its logs expired",
+        failed: "Failed to download run logs",
+        code: "FETCH_RUN_LOGS_FAILED",
+      });
+    }
+  },
+
+  async actionGetJobLogs(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName = this.getParam(options, "repoName");
+      const jobId = this.getParam(options, "jobId");
+
+      // Logs of a running job grow, they are never served from the cache
+      const { data } = await this.client.get(
+        `/repos/${owner}/${repoName}/actions/jobs/${jobId}/logs`,
+        { responseType: "text", cache: false }
+      );
+
+      return {
+        jobId: jobId,
+        content: tail(data, this.getParam(options, "tailLines")),
+      };
+    } catch (error) {
+      throw this.actionError(error, {
+        notFound: "Job or repository not found, or its logs expired",
+        failed: "Failed to download job logs",
+        code: "FETCH_JOB_LOGS_FAILED",
+      });
+    }
+  },
+};
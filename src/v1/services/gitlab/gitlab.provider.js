@@ -0,0 +1,699 @@
+import axios from "axios";
+import ConfigManager from "../../core/ConfigManager.js";
+import BaseProvider from "../base.provider.js";
+import gitlabConfig from "../../config/gitlab.config.js";
+import AppError from "../../core/errors/AppError.js";
+
+const SORT_FIELDS = {
+  created: "created_at",
+  updated: "updated_at",
+  pushed: "last_activity_at",
+  full_name: "path",
+};
+
+export default class GitlabProvider extends BaseProvider {
+  constructor(connectionId = "gitlab_config") {
+    super(gitlabConfig);
+    this.connectionId = connectionId;
+    this.client = null;
+    this.owner = "";
+  }
+
+  async init() {
+    try {
+      const configs = ConfigManager.getConfig(this.connectionId);
+      const token =
+        configs?.params?.find((par) => par?.key === "token")?.value[0] || "";
+      this.owner =
+        configs?.params?.find((par) => par?.key === "owner")?.value[0] || "";
+
+      if (!token) {
+        throw new AppError(
+          "GitLab token not found in configurations",
+          401,
+          "AUTH_FAILED"
+        );
+      }
+
+      if (!this.owner) {
+        throw new AppError(
+          "GitLab owner (namespace) not found in configurations",
+          401,
+          "AUTH_FAILED"
+        );
+      }
+
+      await this.createClient(token);
+    } catch (error) {
+      if (
+        error.statusCode === "401" ||
+        error.response?.status === 401 ||
+        error.statusCode === 401
+      ) {
+        throw error;
+      }
+      throw new AppError("Failed to initialize GitLab provider", 500);
+    }
+  }
+
+  async createClient(token) {
+    try {
+      if (!token)
+        throw new AppError("GitLab authentication failed", 401, "AUTH_FAILED");
+
+      this.client = axios.create({
+        baseURL: this.config.apiBaseUrl,
+        headers: {
+          "PRIVATE-TOKEN": token,
+          Accept: "application/json",
+        },
+      });
+
+      const { data } = await this.client.get("/user");
+
+      return data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // GitLab addresses projects by numeric id or by the url-encoded full path
+  projectPath(owner, repoName) {
+    return encodeURIComponent(`${owner}/${repoName}`);
+  }
+
+  // Pages through a list endpoint by its `Link` headers, GitLab reports the
+  // total in `X-Total` (left out for very large collections)
+  async fetchList(url, options, { params = {}, defaults } = {}) {
+    return this.paginate(
+      options,
+      async (next, { page, perPage }) => {
+        const response = next
+          ? await this.client.get(next)
+          : await this.client.get(url, {
+              params: { ...params, per_page: perPage, page: page },
+            });
+        const total = response.headers["x-total"];
+
+        return {
+          items: response.data,
+          next: this.parseLinkHeader(response.headers.link).next,
+          total: total ? Number(total) : null,
+        };
+      },
+      defaults
+    );
+  }
+
+  async defaultBranch(owner, repoName) {
+    const { data } = await this.client.get(
+      `/projects/${this.projectPath(owner, repoName)}`
+    );
+    return data.default_branch;
+  }
+
+  async actionListRepos(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner =
+        options?.find((par) => par.key === "owner")?.value[0]?.trim() || "";
+      const visibility =
+        options?.find((par) => par.key === "visibility")?.value[0] || "all";
+      const sort =
+        options?.find((par) => par.key === "sort")?.value[0] || "updated";
+
+      const params = {
+        visibility: visibility === "all" ? undefined : visibility,
+        order_by: SORT_FIELDS[sort] || "updated_at",
+      };
+
+      if (!owner) {
+        return await this.fetchList("/projects", options, {
+          params: { ...params, membership: true },
+        });
+      }
+
+      // A namespace is either a group (with subgroups) or a user
+      try {
+        return await this.fetchList(
+          `/groups/${encodeURIComponent(owner)}/projects`,
+          options,
+          { params: { ...params, include_subgroups: true } }
+        );
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+
+      return await this.fetchList(
+        `/users/${encodeURIComponent(owner)}/projects`,
+        options,
+        { params }
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Resources not found", 404, "RESOURCE_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch repositories",
+        500,
+        "FETCH_REPOS_FAILED"
+      );
+    }
+  }
+
+  async actionGetRepo(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.get(
+        `/projects/${this.projectPath(owner, repoName)}`
+      );
+
+      return data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Repository not found", 404, "REPOSITORY_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch repository",
+        500,
+        "FETCH_REPO_FAILED"
+      );
+    }
+  }
+
+  async actionListRepoContents(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const path =
+        options?.find((par) => par.key === "path")?.value[0]?.trim() || "";
+      const ref =
+        options?.find((par) => par.key === "ref")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // The tree endpoint is paginated, every page is read so large directories come whole
+      return await this.fetchList(
+        `/projects/${this.projectPath(owner, repoName)}/repository/tree`,
+        options,
+        {
+          params: { path: path || undefined, ref: ref || undefined },
+          defaults: { fetchAll: true, perPage: 100 },
+        }
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Repository path or reference not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch repository contents",
+        500,
+        "FETCH_CONTENTS_FAILED"
+      );
+    }
+  }
+
+  async actionGetRepoFileContent(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const path =
+        options?.find((par) => par.key === "path")?.value[0]?.trim() || "";
+      const ref =
+        options?.find((par) => par.key === "ref")?.value[0]?.trim() || "";
+
+      if (!repoName || !path) {
+        throw new AppError(
+          "Repository name and file path are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // Unlike GitHub, the files API requires an explicit ref
+      const params = {
+        ref: ref || (await this.defaultBranch(owner, repoName)),
+      };
+
+      const { data } = await this.client.get(
+        `/projects/${this.projectPath(
+          owner,
+          repoName
+        )}/repository/files/${encodeURIComponent(path)}`,
+        {
+          params,
+        }
+      );
+
+      return data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "File not found or inaccessible",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch file content",
+        500,
+        "FETCH_CONTENT_FAILED"
+      );
+    }
+  }
+
+  async actionListBranches(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      return await this.fetchList(
+        `/projects/${this.projectPath(owner, repoName)}/repository/branches`,
+        options
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Repository not found", 404, "REPOSITORY_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch branches",
+        500,
+        "FETCH_BRANCHES_FAILED"
+      );
+    }
+  }
+
+  async actionListBranchCommits(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const branch =
+        options?.find((par) => par.key === "branch")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const params = {
+        ref_name: branch || undefined,
+      };
+
+      return await this.fetchList(
+        `/projects/${this.projectPath(owner, repoName)}/repository/commits`,
+        options,
+        {
+          params,
+        }
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Branch or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch commits",
+        500,
+        "FETCH_COMMITS_FAILED"
+      );
+    }
+  }
+
+  async actionListCommitModifications(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const commitSha =
+        options?.find((par) => par.key === "commitSha")?.value[0]?.trim() || "";
+      const includeContent =
+        options?.find((par) => par.key === "includeContent")?.value[0] || false;
+
+      if (!repoName || !commitSha) {
+        throw new AppError(
+          "Repository name and commit SHA are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // Large commits spread their diffs over several pages, return them all by default
+      const data = await this.fetchList(
+        `/projects/${this.projectPath(
+          owner,
+          repoName
+        )}/repository/commits/${commitSha}/diff`,
+        options,
+        { defaults: { fetchAll: true } }
+      );
+
+      if (!includeContent) {
+        return data.map((file) => ({
+          filename: file.new_path,
+          status: this.fileStatus(file),
+          previous_filename: file.renamed_file ? file.old_path : undefined,
+        }));
+      }
+
+      return data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Commit or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch commit modifications",
+        500,
+        "FETCH_MODIFICATIONS_FAILED"
+      );
+    }
+  }
+
+  async actionGetCommitDetails(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const commitSha =
+        options?.find((par) => par.key === "commitSha")?.value[0]?.trim() || "";
+
+      if (!repoName || !commitSha) {
+        throw new AppError(
+          "Repository name and commit SHA are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const projectPath = this.projectPath(owner, repoName);
+      const [{ data }, { data: files }] = await Promise.all([
+        this.client.get(
+          `/projects/${projectPath}/repository/commits/${commitSha}`,
+          { params: { stats: true } }
+        ),
+        this.client.get(
+          `/projects/${projectPath}/repository/commits/${commitSha}/diff`
+        ),
+      ]);
+
+      return {
+        sha: data.id,
+        author: {
+          name: data.author_name,
+          email: data.author_email,
+        },
+        committer: {
+          name: data.committer_name,
+          email: data.committer_email,
+        },
+        commit: {
+          message: data.message,
+          author: {
+            name: data.author_name,
+            email: data.author_email,
+            date: data.authored_date,
+          },
+          committer: {
+            name: data.committer_name,
+            email: data.committer_email,
+            date: data.committed_date,
+          },
+        },
+        stats: data.stats,
+        files: files,
+        parents: data.parent_ids.map((sha) => ({ sha })),
+        html_url: data.web_url,
+      };
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Commit or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch commit details",
+        500,
+        "FETCH_COMMIT_DETAILS_FAILED"
+      );
+    }
+  }
+
+  async actionCommitsDiff(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const baseCommit =
+        options?.find((par) => par.key === "baseCommit")?.value[0]?.trim() ||
+        "";
+      const headCommit =
+        options?.find((par) => par.key === "headCommit")?.value[0]?.trim() ||
+        "";
+      const filePath = options
+        ?.find((par) => par.key === "filePath")
+        ?.value[0]?.trim();
+
+      if (!repoName || !baseCommit || !headCommit) {
+        throw new AppError(
+          "Repository name, base commit and head commit are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      // Diffs from the merge base, like GitHub's base...head compare
+      const { data } = await this.client.get(
+        `/projects/${this.projectPath(owner, repoName)}/repository/compare`,
+        {
+          params: {
+            from: baseCommit,
+            to: headCommit,
+          },
+        }
+      );
+
+      // The compare API has no path filter, so narrow the diffs here
+      if (filePath) {
+        data.diffs = data.diffs.filter(
+          (diff) => diff.new_path === filePath || diff.old_path === filePath
+        );
+      }
+
+      return data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Repository or commits not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to compare commits",
+        500,
+        "COMPARE_COMMITS_FAILED"
+      );
+    }
+  }
+
+  async actionCommentPrs(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const prNumber =
+        options?.find((par) => par.key === "prNumber")?.value[0]?.trim() || "";
+      // Sent as given, leading whitespace and newlines can be Markdown
+      const comment = this.getParam(options, "comment", "");
+
+      if (!repoName || !prNumber || !comment.trim()) {
+        throw new AppError(
+          "Repository name, MR number and comment text are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const { data } = await this.client.post(
+        `/projects/${this.projectPath(
+          owner,
+          repoName
+        )}/merge_requests/${prNumber}/notes`,
+        { body: comment }
+      );
+
+      return data;
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Merge request or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to create MR comment",
+        500,
+        "CREATE_COMMENT_FAILED"
+      );
+    }
+  }
+
+  async actionListPipelines(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      return await this.fetchList(
+        `/projects/${this.projectPath(owner, repoName)}/pipelines`,
+        options
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Repository not found", 404, "RESOURCE_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch pipelines",
+        500,
+        "FETCH_PIPELINES_FAILED"
+      );
+    }
+  }
+
+  async actionListDeployments(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const owner = this.resolveOwner(options);
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      return await this.fetchList(
+        `/projects/${this.projectPath(owner, repoName)}/deployments`,
+        options
+      );
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Repository not found", 404, "RESOURCE_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch deployments",
+        500,
+        "FETCH_DEPLOYMENTS_FAILED"
+      );
+    }
+  }
+
+  fileStatus(file) {
+    if (file.new_file) return "added";
+    if (file.deleted_file) return "removed";
+    if (file.renamed_file) return "renamed";
+    return "modified";
+  }
+}
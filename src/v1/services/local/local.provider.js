@@ -0,0 +1,752 @@
+import fs from "fs/promises";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import ConfigManager from "../../core/ConfigManager.js";
+import BaseProvider from "../base.provider.js";
+import localConfig from "../../config/local.config.js";
+import AppError from "../../core/errors/AppError.js";
+
+const execFileAsync = promisify(execFile);
+
+// Fields are split by the unit separator and commits by the record separator
+const COMMIT_FORMAT =
+  "%H%x1f%P%x1f%an%x1f%ae%x1f%aI%x1f%cn%x1f%ce%x1f%cI%x1f%B%x1e";
+
+const FILE_STATUS = {
+  A: "added",
+  C: "copied",
+  D: "removed",
+  M: "modified",
+  R: "renamed",
+  T: "changed",
+};
+
+const NOT_FOUND_PATTERN =
+  /unknown revision|bad revision|not a valid object name|invalid object name|does not exist|exists on disk, but not in|not a tree object/i;
+
+export default class LocalProvider extends BaseProvider {
+  constructor(connectionId = "local_config") {
+    super(localConfig);
+    this.connectionId = connectionId;
+    this.rootDir = "";
+  }
+
+  async init() {
+    try {
+      const configs = ConfigManager.getConfig(this.connectionId);
+      const rootDir =
+        configs?.params?.find((par) => par?.key === "root_dir")?.value[0] ||
+        this.config.rootDir;
+
+      this.rootDir = path.resolve(rootDir);
+
+      const stat = await fs.stat(this.rootDir).catch(() => null);
+      if (!stat?.isDirectory()) {
+        throw new AppError(
+          `Repositories directory ${this.rootDir} not found`,
+          404,
+          "ROOT_DIR_NOT_FOUND"
+        );
+      }
+
+      await this.git(this.rootDir, ["--version"]);
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw new AppError("Failed to initialize Local Git provider", 500);
+    }
+  }
+
+  async git(cwd, args, encoding = "utf8") {
+    try {
+      const { stdout } = await execFileAsync(this.config.gitBinary, args, {
+        cwd,
+        encoding,
+        maxBuffer: this.config.maxBuffer,
+      });
+
+      return stdout;
+    } catch (error) {
+      if (NOT_FOUND_PATTERN.test(error.stderr || "")) {
+        throw new AppError(
+          error.stderr.trim().split("\n")[0],
+          404,
+          "GIT_OBJECT_NOT_FOUND"
+        );
+      }
+      throw error;
+    }
+  }
+
+  // Refs come straight from the request, so keep them from being read as flags
+  checkRef(ref) {
+    if (ref.startsWith("-")) {
+      throw new AppError(`Invalid git reference ${ref}`, 400, "INVALID_REF");
+    }
+    return ref;
+  }
+
+  async isRepository(dir) {
+    const exists = (target) =>
+      fs.stat(path.join(dir, target)).then(
+        () => true,
+        () => false
+      );
+
+    if (await exists(".git")) return true;
+    return (await exists("HEAD")) && (await exists("objects"));
+  }
+
+  async repoDir(repoName) {
+    if (/[\\/]/.test(repoName) || repoName.startsWith(".")) {
+      throw new AppError(
+        "Invalid repository name",
+        400,
+        "INVALID_REPOSITORY_NAME"
+      );
+    }
+
+    for (const candidate of [repoName, `${repoName}.git`]) {
+      const dir = path.join(this.rootDir, candidate);
+      if (await this.isRepository(dir)) return dir;
+    }
+
+    throw new AppError("Repository not found", 404, "REPOSITORY_NOT_FOUND");
+  }
+
+  async repoInfo(name, dir) {
+    const [stat, bare, defaultBranch, pushedAt] = await Promise.all([
+      fs.stat(dir),
+      this.git(dir, ["rev-parse", "--is-bare-repository"]),
+      this.git(dir, ["symbolic-ref", "--short", "HEAD"]).catch(() => "HEAD"),
+      this.git(dir, ["log", "-1", "--format=%cI"]).catch(() => ""),
+    ]);
+
+    return {
+      name: name.replace(/\.git$/, ""),
+      full_name: `${path.basename(this.rootDir)}/${name.replace(/\.git$/, "")}`,
+      path: dir,
+      private: true,
+      bare: bare.trim() === "true",
+      default_branch: defaultBranch.trim(),
+      created_at: stat.birthtime.toISOString(),
+      pushed_at: pushedAt.trim() || null,
+    };
+  }
+
+  parseCommits(output) {
+    return output
+      .split("\x1e")
+      .map((record) => record.replace(/^\n/, ""))
+      .filter(Boolean)
+      .map((record) => {
+        const [sha, parents, an, ae, ad, cn, ce, cd, message] =
+          record.split("\x1f");
+
+        return {
+          sha,
+          commit: {
+            message: message.trim(),
+            author: { name: an, email: ae, date: ad },
+            committer: { name: cn, email: ce, date: cd },
+          },
+          parents: parents
+            .split(" ")
+            .filter(Boolean)
+            .map((parent) => ({ sha: parent })),
+        };
+      });
+  }
+
+  // The diff base of a commit is its first parent, or the empty tree for roots
+  async commitBase(repoDir, sha) {
+    const parents = await this.git(repoDir, [
+      "rev-list",
+      "--parents",
+      "-n",
+      "1",
+      sha,
+    ]);
+    const [, firstParent] = parents.trim().split(" ");
+    if (firstParent) return firstParent;
+
+    const emptyTree = await this.git(repoDir, [
+      "hash-object",
+      "-t",
+      "tree",
+      "/dev/null",
+    ]);
+    return emptyTree.trim();
+  }
+
+  async diffFiles(repoDir, base, head, { filePath, includeContent } = {}) {
+    const range = [base, head, "--"].concat(filePath ? [filePath] : []);
+    const [nameStatus, numstat, diff] = await Promise.all([
+      this.git(repoDir, ["diff", "-M", "--name-status", "-z", ...range]),
+      this.git(repoDir, ["diff", "-M", "--numstat", "-z", ...range]),
+      includeContent ? this.git(repoDir, ["diff", "-M", ...range]) : "",
+    ]);
+
+    const files = [];
+    const statusTokens = nameStatus.split("\0").filter(Boolean);
+    for (let i = 0; i < statusTokens.length; i++) {
+      const status = statusTokens[i];
+      const renamed = /^[RC]/.test(status);
+      const file = {
+        filename: renamed ? statusTokens[i + 2] : statusTokens[i + 1],
+        previous_filename: renamed ? statusTokens[i + 1] : undefined,
+        status: FILE_STATUS[status.charAt(0)] || "modified",
+        additions: 0,
+        deletions: 0,
+        changes: 0,
+      };
+      i += renamed ? 2 : 1;
+      files.push(file);
+    }
+
+    // numstat -z prints "add\tdel\tpath" or, for renames, "add\tdel\t" + old + new
+    const countTokens = numstat.split("\0");
+    for (
+      let i = 0, index = 0;
+      i < countTokens.length && index < files.length;
+      i++
+    ) {
+      const [additions, deletions, name] = countTokens[i].split("\t");
+      if (additions === undefined || deletions === undefined) continue;
+      if (!name) i += 2;
+
+      const file = files[index++];
+      file.additions = Number(additions) || 0;
+      file.deletions = Number(deletions) || 0;
+      file.changes = file.additions + file.deletions;
+    }
+
+    if (!includeContent) return files;
+
+    const patches = this.splitDiff(diff);
+    return files.map((file) => ({
+      ...file,
+      patch: patches[file.filename] || patches[file.previous_filename],
+    }));
+  }
+
+  // Pages through a list already held in memory
+  async pageList(list, options) {
+    return this.paginate(options, async (next, { page, perPage }) => {
+      const current = next || page;
+      const start = (current - 1) * perPage;
+
+      return {
+        items: list.slice(start, start + perPage),
+        next: start + perPage < list.length ? current + 1 : null,
+        total: list.length,
+      };
+    });
+  }
+
+  async actionListRepos(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const visibility =
+        options?.find((par) => par.key === "visibility")?.value[0] || "all";
+      const sort =
+        options?.find((par) => par.key === "sort")?.value[0] || "updated";
+
+      // Local repositories are never public
+      if (visibility === "public") return [];
+
+      const entries = await fs.readdir(this.rootDir, { withFileTypes: true });
+      const repos = [];
+      for (const entry of entries) {
+        const dir = path.join(this.rootDir, entry.name);
+        if (entry.isDirectory() && (await this.isRepository(dir))) {
+          repos.push(await this.repoInfo(entry.name, dir));
+        }
+      }
+
+      const sorters = {
+        created: (a, b) => b.created_at.localeCompare(a.created_at),
+        updated: (a, b) => (b.pushed_at || "").localeCompare(a.pushed_at || ""),
+        pushed: (a, b) => (b.pushed_at || "").localeCompare(a.pushed_at || ""),
+        full_name: (a, b) => a.full_name.localeCompare(b.full_name),
+      };
+      repos.sort(sorters[sort] || sorters.updated);
+
+      return await this.pageList(repos, options);
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Resources not found", 404, "RESOURCE_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch repositories",
+        500,
+        "FETCH_REPOS_FAILED"
+      );
+    }
+  }
+
+  async actionGetRepo(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const dir = await this.repoDir(repoName);
+
+      return await this.repoInfo(path.basename(dir), dir);
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Repository not found", 404, "REPOSITORY_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch repository",
+        500,
+        "FETCH_REPO_FAILED"
+      );
+    }
+  }
+
+  async actionListRepoContents(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const filePath =
+        options?.find((par) => par.key === "path")?.value[0]?.trim() || "";
+      const ref =
+        options?.find((par) => par.key === "ref")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const dir = await this.repoDir(repoName);
+      const treeish = this.checkRef(ref || "HEAD");
+      const cleanPath = filePath.replace(/^\/+|\/+$/g, "");
+
+      const type = cleanPath
+        ? (
+            await this.git(dir, ["cat-file", "-t", `${treeish}:${cleanPath}`])
+          ).trim()
+        : "tree";
+      const listing = await this.git(
+        dir,
+        type === "tree"
+          ? [
+              "ls-tree",
+              "-l",
+              "-z",
+              cleanPath ? `${treeish}:${cleanPath}` : treeish,
+            ]
+          : ["ls-tree", "-l", "-z", treeish, "--", cleanPath]
+      );
+
+      const types = { blob: "file", tree: "dir", commit: "submodule" };
+      return listing
+        .split("\0")
+        .filter(Boolean)
+        .map((line) => {
+          const [, mode, objectType, sha, size, name] = line.match(
+            /^(\d+) (\w+) ([0-9a-f]+)\s+(-|\d+)\t(.*)$/s
+          );
+          const entryName = path.posix.basename(name);
+
+          return {
+            name: entryName,
+            path:
+              type === "tree"
+                ? path.posix.join(cleanPath, entryName)
+                : cleanPath,
+            sha,
+            mode,
+            size: size === "-" ? 0 : Number(size),
+            type: types[objectType] || objectType,
+          };
+        });
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Repository path or reference not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch repository contents",
+        500,
+        "FETCH_CONTENTS_FAILED"
+      );
+    }
+  }
+
+  async actionGetRepoFileContent(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const filePath =
+        options?.find((par) => par.key === "path")?.value[0]?.trim() || "";
+      const ref =
+        options?.find((par) => par.key === "ref")?.value[0]?.trim() || "";
+
+      if (!repoName || !filePath) {
+        throw new AppError(
+          "Repository name and file path are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const dir = await this.repoDir(repoName);
+      const cleanPath = filePath.replace(/^\/+/, "");
+      const object = `${this.checkRef(ref || "HEAD")}:${cleanPath}`;
+
+      const type = (await this.git(dir, ["cat-file", "-t", object])).trim();
+      if (type !== "blob") {
+        throw new AppError(
+          "The given path is a directory, not a file",
+          400,
+          "INVALID_FILE_PATH"
+        );
+      }
+
+      const [sha, content] = await Promise.all([
+        this.git(dir, ["rev-parse", object]),
+        this.git(dir, ["cat-file", "-p", object], "buffer"),
+      ]);
+
+      return {
+        type: "file",
+        name: path.posix.basename(cleanPath),
+        path: cleanPath,
+        sha: sha.trim(),
+        size: content.length,
+        encoding: "base64",
+        content: content.toString("base64"),
+      };
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "File not found or inaccessible",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch file content",
+        500,
+        "FETCH_CONTENT_FAILED"
+      );
+    }
+  }
+
+  async actionListBranches(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const dir = await this.repoDir(repoName);
+      const output = await this.git(dir, [
+        "for-each-ref",
+        "--format=%(refname:short)%1f%(objectname)",
+        "refs/heads",
+      ]);
+
+      const branches = output
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => {
+          const [name, sha] = line.split("\x1f");
+          return { name, commit: { sha } };
+        });
+
+      return await this.pageList(branches, options);
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError("Repository not found", 404, "REPOSITORY_NOT_FOUND");
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch branches",
+        500,
+        "FETCH_BRANCHES_FAILED"
+      );
+    }
+  }
+
+  async actionListBranchCommits(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const branch =
+        options?.find((par) => par.key === "branch")?.value[0]?.trim() || "";
+
+      if (!repoName) {
+        throw new AppError(
+          "Repository name is required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const dir = await this.repoDir(repoName);
+      const ref = this.checkRef(branch || "HEAD");
+
+      // One extra commit tells whether another page follows
+      return await this.paginate(options, async (next, { page, perPage }) => {
+        const current = next || page;
+        const output = await this.git(dir, [
+          "log",
+          `--skip=${(current - 1) * perPage}`,
+          `-n${perPage + 1}`,
+          `--format=${COMMIT_FORMAT}`,
+          ref,
+          "--",
+        ]);
+        const commits = this.parseCommits(output);
+
+        return {
+          items: commits.slice(0, perPage),
+          next: commits.length > perPage ? current + 1 : null,
+          total: null,
+        };
+      });
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Branch or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch commits",
+        500,
+        "FETCH_COMMITS_FAILED"
+      );
+    }
+  }
+
+  async actionListCommitModifications(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const commitSha =
+        options?.find((par) => par.key === "commitSha")?.value[0]?.trim() || "";
+      const includeContent =
+        options?.find((par) => par.key === "includeContent")?.value[0] || false;
+
+      if (!repoName || !commitSha) {
+        throw new AppError(
+          "Repository name and commit SHA are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const dir = await this.repoDir(repoName);
+      const sha = this.checkRef(commitSha);
+      const base = await this.commitBase(dir, sha);
+
+      return await this.diffFiles(dir, base, sha, { includeContent });
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Commit or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch commit modifications",
+        500,
+        "FETCH_MODIFICATIONS_FAILED"
+      );
+    }
+  }
+
+  async actionGetCommitDetails(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const commitSha =
+        options?.find((par) => par.key === "commitSha")?.value[0]?.trim() || "";
+
+      if (!repoName || !commitSha) {
+        throw new AppError(
+          "Repository name and commit SHA are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const dir = await this.repoDir(repoName);
+      const sha = this.checkRef(commitSha);
+      const [output, base] = await Promise.all([
+        this.git(dir, ["log", "-n1", `--format=${COMMIT_FORMAT}`, sha, "--"]),
+        this.commitBase(dir, sha),
+      ]);
+
+      const [commit] = this.parseCommits(output);
+      const files = await this.diffFiles(dir, base, commit.sha, {
+        includeContent: true,
+      });
+
+      return {
+        sha: commit.sha,
+        author: commit.commit.author,
+        committer: commit.commit.committer,
+        commit: commit.commit,
+        stats: {
+          additions: files.reduce((sum, file) => sum + file.additions, 0),
+          deletions: files.reduce((sum, file) => sum + file.deletions, 0),
+          total: files.reduce((sum, file) => sum + file.changes, 0),
+        },
+        files: files,
+        parents: commit.parents,
+      };
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Commit or repository not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to fetch commit details",
+        500,
+        "FETCH_COMMIT_DETAILS_FAILED"
+      );
+    }
+  }
+
+  async actionCommitsDiff(options = {}) {
+    try {
+      options = options?.configs?.params || [];
+      const repoName =
+        options?.find((par) => par.key === "repoName")?.value[0]?.trim() || "";
+      const baseCommit =
+        options?.find((par) => par.key === "baseCommit")?.value[0]?.trim() ||
+        "";
+      const headCommit =
+        options?.find((par) => par.key === "headCommit")?.value[0]?.trim() ||
+        "";
+      const filePath = options
+        ?.find((par) => par.key === "filePath")
+        ?.value[0]?.trim();
+
+      if (!repoName || !baseCommit || !headCommit) {
+        throw new AppError(
+          "Repository name, base commit and head commit are required",
+          400,
+          "MISSING_REQUIRED_PARAMS"
+        );
+      }
+
+      const dir = await this.repoDir(repoName);
+      const base = this.checkRef(baseCommit);
+      const head = this.checkRef(headCommit);
+
+      // Same three-dot semantics as GitHub: diff from the merge base to head
+      const [counts, mergeBase, log] = await Promise.all([
+        this.git(dir, [
+          "rev-list",
+          "--left-right",
+          "--count",
+          `${base}...${head}`,
+        ]),
+        this.git(dir, ["merge-base", base, head]).catch(() => base),
+        this.git(dir, [
+          "log",
+          "--reverse",
+          `--format=${COMMIT_FORMAT}`,
+          `${base}..${head}`,
+          "--",
+        ]),
+      ]);
+
+      const [behindBy, aheadBy] = counts.trim().split(/\s+/).map(Number);
+      let status = "identical";
+      if (aheadBy && behindBy) status = "diverged";
+      else if (aheadBy) status = "ahead";
+      else if (behindBy) status = "behind";
+
+      return {
+        status,
+        ahead_by: aheadBy,
+        behind_by: behindBy,
+        merge_base_commit: { sha: mergeBase.trim() },
+        total_commits: aheadBy,
+        commits: this.parseCommits(log),
+        files: await this.diffFiles(dir, mergeBase.trim(), head, {
+          filePath,
+          includeContent: true,
+        }),
+      };
+    } catch (error) {
+      if (error.response?.status === 404 || error.statusCode === 404) {
+        throw new AppError(
+          "Repository or commits not found",
+          404,
+          "RESOURCE_NOT_FOUND"
+        );
+      }
+      if (error.response?.status === 400 || error.statusCode === 400) {
+        throw error;
+      }
+      throw new AppError(
+        "Failed to compare commits",
+        500,
+        "COMPARE_COMMITS_FAILED"
+      );
+    }
+  }
+}
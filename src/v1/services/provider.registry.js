@@ -0,0 +1,77 @@
+import ConfigManager from "../core/ConfigManager.js";
+import AppError from "../core/errors/AppError.js";
+import GithubProvider from "./github/github.provider.js";
+import GitlabProvider from "./gitlab/gitlab.provider.js";
+import BitbucketProvider from "./bitbucket/bitbucket.provider.js";
+import LocalProvider from "./local/local.provider.js";
+
+class ProviderRegistry {
+  constructor() {
+    this.providerClasses = {
+      github: GithubProvider,
+      gitlab: GitlabProvider,
+      bitbucket: BitbucketProvider,
+      local: LocalProvider,
+    };
+    // One initialised provider per connection, keyed by connection name
+    this.instances = new Map();
+  }
+
+  getProviderClass(provider) {
+    return this.providerClasses[provider];
+  }
+
+  resolveConnection(provider, connectionId) {
+    const connection = connectionId
+      ? ConfigManager.getConfig(connectionId)
+      : ConfigManager.getDefaultConnection(provider);
+
+    if (!connection) {
+      throw new AppError(
+        connectionId
+          ? `Connection '${connectionId}' not found`
+          : `No connection configured for provider '${provider}'`,
+        404,
+        "CONNECTION_NOT_FOUND"
+      );
+    }
+
+    if (provider && connection.provider !== provider) {
+      throw new AppError(
+        `Connection '${connection.name}' belongs to provider '${connection.provider}', not '${provider}'`,
+        400,
+        "CONNECTION_PROVIDER_MISMATCH"
+      );
+    }
+
+    return connection;
+  }
+
+  // Clients are only rebuilt when the connection settings change
+  async getInstance(connection) {
+    const snapshot = JSON.stringify(connection);
+    const cached = this.instances.get(connection.name);
+
+    if (cached?.snapshot === snapshot) {
+      return cached.ready;
+    }
+
+    const ProviderClass = this.getProviderClass(connection.provider);
+    const instance = new ProviderClass(connection.name);
+    const ready = instance.init().then(() => instance);
+
+    this.instances.set(connection.name, { snapshot, ready });
+
+    try {
+      return await ready;
+    } catch (error) {
+      // A failed init must not stick, the next call retries it
+      if (this.instances.get(connection.name)?.ready === ready) {
+        this.instances.delete(connection.name);
+      }
+      throw error;
+    }
+  }
+}
+
+export default new ProviderRegistry();
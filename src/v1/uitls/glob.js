@@ -0,0 +1,92 @@
+const escapeRegExp = (text) => text.replace(/[.+^$()|\\]/g, "\\$&");
+
+// Index of the brace closing the one at `start`, or -1 when it is left open
+const closingBrace = (glob, start) => {
+  let depth = 0;
+  for (let index = start; index < glob.length; index++) {
+    if (glob[index] === "{") depth++;
+    if (glob[index] === "}" && --depth === 0) return index;
+  }
+  return -1;
+};
+
+// Translates *, **, ?, [abc], [!abc] and {a,b} (nested too) into a regular expression source
+const globSource = (glob) => {
+  let source = "";
+
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+
+    if (char === "*" && glob[index + 1] === "*") {
+      // "**/" spans any number of directories, including none
+      index++;
+      if (glob[index + 1] === "/") {
+        index++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && glob.indexOf("]", index + 2) > index) {
+      const end = glob.indexOf("]", index + 2);
+      const set = glob.slice(index + 1, end).replace(/\\/g, "\\\\");
+      source += `[${set.replace(/^!/, "^")}]`;
+      index = end;
+    } else if (char === "{" && closingBrace(glob, index) > index) {
+      // Alternatives may hold braces of their own, each is translated in turn
+      const end = closingBrace(glob, index);
+      const options = splitPatterns([glob.slice(index + 1, end)], {
+        keepEmpty: true,
+      }).map(globSource);
+      source += `(?:${options.join("|")})`;
+      index = end;
+    } else {
+      source += char === "[" || char === "{" ? `\\${char}` : escapeRegExp(char);
+    }
+  }
+
+  return source;
+};
+
+// Splits comma separated patterns, commas inside {a,b} belong to the pattern
+export const splitPatterns = (values = [], { keepEmpty = false } = {}) =>
+  values
+    .flatMap((value) => {
+      const patterns = [""];
+      let depth = 0;
+      for (const char of String(value)) {
+        if (char === "," && !depth) {
+          patterns.push("");
+          continue;
+        }
+        if (char === "{") depth++;
+        if (char === "}" && depth) depth--;
+        patterns[patterns.length - 1] += char;
+      }
+      return patterns;
+    })
+    .map((pattern) => (keepEmpty ? pattern : pattern.trim()))
+    .filter((pattern) => keepEmpty || pattern);
+
+// Builds a test for slash separated paths. As in .gitignore, a pattern without
+// a slash matches the name at any depth, and a matched directory covers everything below it
+export const globMatcher = (patterns) => {
+  const tests = patterns.map((pattern) => {
+    const glob = pattern.replace(/^\//, "").replace(/\/$/, "");
+    const anchored = glob.includes("/") || pattern.startsWith("/");
+    const source = `${anchored ? "" : "(?:.*/)?"}${globSource(glob)}(?:/.*)?`;
+
+    let regExp;
+    try {
+      regExp = new RegExp(`^${source}$`);
+    } catch (error) {
+      throw new Error(`Invalid glob pattern: ${pattern}`);
+    }
+    return (path) => regExp.test(path);
+  });
+
+  return (path) => tests.some((test) => test(path));
+};
@@ -0,0 +1,90 @@
+import { promisify } from "util";
+import zlib from "zlib";
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+// The end of directory record sits in the last 22 bytes, followed by an optional comment
+const findEndOfDirectory = (buffer) => {
+  const last = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= last; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_DIRECTORY) return offset;
+  }
+  throw new Error("Not a zip archive");
+};
+
+export class ZipTooLargeError extends Error {}
+
+// Reads the files of a zip archive (stored or deflated, no zip64) as
+// [{ name, size, content }], directories are skipped. Past `maxSize` extracted
+// bytes a ZipTooLargeError is thrown, inflating stops at the limit
+export const readZip = async (buffer, { maxSize = Infinity } = {}) => {
+  const end = findEndOfDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = [];
+  let remaining = maxSize;
+
+  for (let index = 0; index < count; index++) {
+    if (buffer.readUInt32LE(offset) !== DIRECTORY_ENTRY) {
+      throw new Error("Corrupted zip directory");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    // The declared size is checked first, the inflate limit catches archives lying about it
+    if (size > remaining) {
+      throw new ZipTooLargeError(
+        `Archive extracts to more than ${maxSize} bytes`
+      );
+    }
+
+    // The local header repeats the name but may carry a different extra field
+    if (buffer.readUInt32LE(headerOffset) !== LOCAL_HEADER) {
+      throw new Error(`Corrupted zip entry ${name}`);
+    }
+    const start =
+      headerOffset +
+      30 +
+      buffer.readUInt16LE(headerOffset + 26) +
+      buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      content = await inflateRaw(data, {
+        maxOutputLength: Math.max(1, remaining),
+      }).catch((error) => {
+        if (error.code !== "ERR_BUFFER_TOO_LARGE") throw error;
+        throw new ZipTooLargeError(
+          `Archive extracts to more than ${maxSize} bytes`
+        );
+      });
+    } else {
+      throw new Error(`Unsupported compression method ${method} for ${name}`);
+    }
+
+    if (content.length > remaining) {
+      throw new ZipTooLargeError(
+        `Archive extracts to more than ${maxSize} bytes`
+      );
+    }
+    remaining -= content.length;
+    files.push({ name: name, size: content.length, content: content });
+  }
+
+  return files;
+};